@@ -0,0 +1,175 @@
+/**
+ * ActivityLog - Field-level history of every task
+ * TaskManager.executeCommand compares each changed task with its previous
+ * state and appends an entry to task.activity (oldest first):
+ *   { at, action: created | updated | completed | reopened, changes: [{ field, from, to }] }
+ * Values are stored as display text, so old entries read the same after
+ * the data format changes. Undo/redo restore the activity with the task.
+ *
+ * The activity of deleted tasks is kept in its own list (newest first):
+ *   [{ id, title, deletedAt, activity }]
+ */
+class ActivityLog {
+    static MAX_ENTRIES = 50; // per task
+    static MAX_DELETED = 50;
+    static MAX_TEXT = 80;
+    
+    // Tracked fields and their labels (other fields, e.g. updatedAt, are not logged)
+    static FIELDS = {
+        title: 'Title',
+        description: 'Description',
+        deadline: 'Deadline',
+        priority: 'Priority',
+        status: 'Status',
+        tags: 'Tags',
+        recurrence: 'Repeat',
+        checklist: 'Checklist',
+        autoComplete: 'Auto-complete',
+        reminders: 'Reminders',
+        blockedBy: 'Blocked by',
+        projectId: 'Project',
+        estimate: 'Estimate'
+    };
+    
+    static ACTION_LABELS = {
+        created: '✨ Created',
+        updated: '✏️ Updated',
+        completed: '✅ Completed',
+        reopened: '↩️ Reopened',
+        deleted: '🗑️ Deleted'
+    };
+    
+    constructor() {
+        this.deleted = StorageManager.loadDeletedActivity();
+    }
+    
+    /**
+     * Display text of a field value
+     */
+    static formatValue(field, value) {
+        if (value === null || value === undefined || value === '' ||
+            (Array.isArray(value) && value.length === 0)) {
+            return '—';
+        }
+        
+        let text;
+        switch (field) {
+            case 'deadline':
+                text = TaskReport.formatDate(value);
+                break;
+            case 'tags':
+                text = value.map(tag => `#${tag}`).join(' ');
+                break;
+            case 'recurrence':
+                text = RecurrenceRule.describe(value);
+                break;
+            case 'checklist':
+                text = value.map(item => `${item.done ? '☑' : '☐'} ${item.text}`).join(', ');
+                break;
+            case 'autoComplete':
+                text = value ? 'On' : 'Off';
+                break;
+            case 'reminders':
+                text = value.map(minutes => ReminderScheduler.describeOffset(minutes)).join(', ') + ' before';
+                break;
+            case 'blockedBy':
+                text = value.map(id => {
+                    const blocker = TaskManager.getInstance().getTaskById(id);
+                    return blocker ? `"${blocker.title}"` : 'deleted task';
+                }).join(', ');
+                break;
+            case 'projectId':
+                text = TaskManager.getInstance().projects.resolve(value).name;
+                break;
+            case 'estimate':
+                text = TimeTracking.formatMinutes(value);
+                break;
+            default:
+                text = String(value);
+        }
+        
+        return text.length > this.MAX_TEXT ? `${text.slice(0, this.MAX_TEXT - 1)}…` : text;
+    }
+    
+    /**
+     * Entry describing the change from one state of a task to the next
+     * @param {Object|null} before - Plain task before the change (null when created)
+     * @param {Object} after - Plain task after the change
+     * @param {string} at - ISO timestamp
+     * @returns {Object|null} Entry, or null when no tracked field changed
+     */
+    static createEntry(before, after, at) {
+        if (!before) {
+            return { at, action: 'created', changes: [] };
+        }
+        
+        const changes = Object.keys(this.FIELDS)
+            .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+            .map(field => ({
+                field,
+                from: this.formatValue(field, before[field]),
+                to: this.formatValue(field, after[field])
+            }));
+        if (changes.length === 0) {
+            return null;
+        }
+        
+        const wasCompleted = Workflow.isCompleted(before);
+        const isCompleted = Workflow.isCompleted(after);
+        let action = 'updated';
+        if (!wasCompleted && isCompleted) {
+            action = 'completed';
+        } else if (wasCompleted && !isCompleted) {
+            action = 'reopened';
+        }
+        
+        return { at, action, changes };
+    }
+    
+    /**
+     * Add an entry, dropping the oldest ones past MAX_ENTRIES
+     * @returns {Array} New activity list
+     */
+    static append(activity, entry) {
+        return [...(activity || []), entry].slice(-this.MAX_ENTRIES);
+    }
+    
+    /**
+     * One line per entry, e.g. "Oct 19, 2026, 10:00 AM ✏️ Updated: Priority High → Low"
+     */
+    static describe(entry) {
+        const changes = entry.changes
+            .map(change => `${this.FIELDS[change.field] || change.field} ${change.from} → ${change.to}`)
+            .join('; ');
+        const action = this.ACTION_LABELS[entry.action] || entry.action;
+        return `${TaskReport.formatDate(entry.at)} ${action}${changes ? `: ${changes}` : ''}`;
+    }
+    
+    /**
+     * Keep the activity of a task that was deleted
+     * @param {Object} task - Plain task (state before the deletion)
+     * @param {string} at - ISO timestamp
+     */
+    recordDeleted(task, at = new Date().toISOString()) {
+        // Another tab may have deleted tasks meanwhile
+        this.deleted = StorageManager.loadDeletedActivity().filter(entry => entry.id !== task.id);
+        this.deleted.unshift({
+            id: task.id,
+            title: task.title,
+            deletedAt: at,
+            activity: ActivityLog.append(task.activity, { at, action: 'deleted', changes: [] })
+        });
+        this.deleted = this.deleted.slice(0, ActivityLog.MAX_DELETED);
+        StorageManager.saveDeletedActivity(this.deleted);
+    }
+    
+    /**
+     * Deleted tasks, newest first, without those restored since (e.g. by undo)
+     * @param {Array} tasks - Current tasks
+     */
+    getDeleted(tasks) {
+        this.deleted = StorageManager.loadDeletedActivity();
+        const ids = new Set(tasks.map(task => task.id));
+        return this.deleted.filter(entry => !ids.has(entry.id));
+    }
+}
@@ -17,9 +17,22 @@ class App {
         // Register UI Manager as observer
         this.taskManager.addObserver(this.uiManager);
         
+        // Reminders are re-scheduled on every task change (Observer)
+        this.reminders = new ReminderScheduler((task, message) => this.showReminder(task, message));
+        this.taskManager.addObserver(this.reminders);
+        
+        // Failed saves (e.g. storage full) are shown, not only logged
+        this.taskManager.onSaveError = message => this.uiManager.showError(`❌ ${message}`);
+        
+        // Ctrl+K launcher for actions and tasks
+        this.commandPalette = new CommandPalette(this);
+        
         // Track editing state
         this.editingTaskId = null;
         
+        // Parsed file waiting for the user to confirm the import
+        this.pendingImport = null;
+        
         // Initialize application
         this.init();
     }
@@ -27,11 +40,22 @@ class App {
     /**
      * Initialize the application
      */
-    init() {
+    async init() {
         console.log('⚙️ Setting up application...');
         
-        // FR9: Load saved tasks on startup
-        this.loadInitialTasks();
+        // FR9: Load saved tasks on startup (before the form can create new ones)
+        await this.loadInitialTasks();
+        
+        // Keep other open tabs in sync
+        this.taskManager.startSync(conflicts => {
+            this.resetEditingIfMissing();
+            conflicts.forEach(conflict => {
+                this.uiManager.showNotification(
+                    `⚠️ "${conflict.title}" was also changed in another tab — kept ${conflict.kept === 'local' ? 'this tab\'s' : 'the other tab\'s'} version`,
+                    'info'
+                );
+            });
+        });
         
         // Setup event listeners
         this.setupEventListeners();
@@ -45,13 +69,15 @@ class App {
     /**
      * FR9: Load tasks from storage on startup
      */
-    loadInitialTasks() {
+    async loadInitialTasks() {
         try {
-            this.taskManager.loadTasks();
+            await this.taskManager.loadTasks();
             console.log('✅ Initial tasks loaded');
         } catch (error) {
             console.error('❌ Error loading initial tasks:', error);
             this.uiManager.showError('حدث خطأ في تحميل المهام');
+            // Stored data is left untouched until a backup is restored
+            this.uiManager.showLoadError(error.message);
         }
     }
     
@@ -68,22 +94,221 @@ class App {
             });
         }
         
+        // Quick add: one line parsed into the task fields, previewed while typing
+        const quickAddForm = document.getElementById('quickAddForm');
+        if (quickAddForm) {
+            const quickAddInput = document.getElementById('quickAddInput');
+            quickAddForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.quickAdd(quickAddInput.value);
+            });
+            quickAddInput.addEventListener('input', () => {
+                this.uiManager.renderQuickAddPreview(this.getQuickAddFields(quickAddInput.value));
+            });
+        }
+        
+        // Recurrence select shows the matching options
+        const repeatSelect = document.getElementById('taskRepeat');
+        if (repeatSelect) {
+            repeatSelect.addEventListener('change', () => {
+                this.uiManager.updateRecurrenceFields();
+            });
+            this.uiManager.updateRecurrenceFields();
+        }
+        
+        // View toggle (list / board)
+        document.querySelectorAll('.view-btn[data-view]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.uiManager.setViewMode(btn.dataset.view);
+            });
+        });
+        
+        // Workflow editor
+        const workflowBtn = document.getElementById('workflowBtn');
+        if (workflowBtn) {
+            workflowBtn.addEventListener('click', () => {
+                this.uiManager.toggleWorkflowEditor();
+            });
+        }
+        const saveWorkflowBtn = document.getElementById('saveWorkflowBtn');
+        if (saveWorkflowBtn) {
+            saveWorkflowBtn.addEventListener('click', () => {
+                this.saveWorkflow();
+            });
+        }
+        
+        // Search box (composes with filter and sort)
+        const searchBox = document.getElementById('searchBox');
+        if (searchBox) {
+            searchBox.addEventListener('input', () => {
+                this.uiManager.renderTasks();
+            });
+        }
+        
         // Sort dropdown (FR7: Sorting)
         const sortSelect = document.getElementById('sortBy');
         if (sortSelect) {
             sortSelect.addEventListener('change', () => {
+                this.applyDefaultSortDirection(sortSelect.value, 'sortDirection');
                 this.uiManager.renderTasks();
             });
         }
         
+        // Sort direction and tie-breaker key
+        const thenBySelect = document.getElementById('sortThenBy');
+        if (thenBySelect) {
+            thenBySelect.addEventListener('change', () => {
+                this.applyDefaultSortDirection(thenBySelect.value, 'sortThenDirection');
+                this.uiManager.renderTasks();
+            });
+        }
+        ['sortDirection', 'sortThenDirection'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) {
+                select.addEventListener('change', () => {
+                    this.uiManager.renderTasks();
+                });
+            }
+        });
+        
         // Filter dropdown (FR7: Filtering)
         const filterSelect = document.getElementById('filterBy');
         if (filterSelect) {
             filterSelect.addEventListener('change', () => {
+                this.uiManager.updateFilterControls();
+                this.uiManager.renderTasks();
+            });
+            this.uiManager.updateFilterControls();
+        }
+        
+        // Filter builder (composable filters and smart lists)
+        const builderBtn = document.getElementById('filterBuilderBtn');
+        if (builderBtn) {
+            builderBtn.addEventListener('click', () => {
+                this.uiManager.toggleFilterBuilder();
+            });
+        }
+        const addConditionBtn = document.getElementById('addConditionBtn');
+        if (addConditionBtn) {
+            addConditionBtn.addEventListener('click', () => {
+                this.addFilterCondition();
+            });
+        }
+        const applyFilterBtn = document.getElementById('applyFilterBtn');
+        if (applyFilterBtn) {
+            applyFilterBtn.addEventListener('click', () => {
+                this.applyCustomFilter();
+            });
+        }
+        const saveSmartListBtn = document.getElementById('saveSmartListBtn');
+        if (saveSmartListBtn) {
+            saveSmartListBtn.addEventListener('click', () => {
+                this.saveSmartList();
+            });
+        }
+        this.uiManager.renderSmartLists();
+        
+        // Projects
+        const projectSwitcher = document.getElementById('projectSwitcher');
+        if (projectSwitcher) {
+            projectSwitcher.addEventListener('change', (e) => {
+                this.switchProject(e.target.value);
+            });
+        }
+        const manageProjectsBtn = document.getElementById('manageProjectsBtn');
+        if (manageProjectsBtn) {
+            manageProjectsBtn.addEventListener('click', () => {
+                this.uiManager.toggleProjectPanel();
+            });
+        }
+        const closeProjectsBtn = document.getElementById('closeProjectsBtn');
+        if (closeProjectsBtn) {
+            closeProjectsBtn.addEventListener('click', () => {
+                this.uiManager.toggleProjectPanel();
+            });
+        }
+        const addProjectBtn = document.getElementById('addProjectBtn');
+        if (addProjectBtn) {
+            addProjectBtn.addEventListener('click', () => {
+                this.createProject();
+            });
+        }
+        const newProjectName = document.getElementById('newProjectName');
+        if (newProjectName) {
+            newProjectName.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.createProject();
+                }
+            });
+        }
+        this.uiManager.renderProjects();
+        
+        const commandPaletteBtn = document.getElementById('commandPaletteBtn');
+        if (commandPaletteBtn) {
+            commandPaletteBtn.addEventListener('click', () => {
+                this.commandPalette.open();
+            });
+        }
+        
+        // Bulk selection and batch actions
+        const selectAllVisible = document.getElementById('selectAllVisible');
+        if (selectAllVisible) {
+            selectAllVisible.addEventListener('change', (e) => {
+                this.uiManager.selectAllVisible(e.target.checked);
+            });
+        }
+        document.querySelectorAll('[data-batch]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.runBatchAction(btn.dataset.batch);
+            });
+        });
+        ['batchPriority', 'batchProject'].forEach(selectId => {
+            const select = document.getElementById(selectId);
+            if (select) {
+                select.addEventListener('change', () => {
+                    if (select.value) {
+                        this.runBatchAction(selectId === 'batchPriority' ? 'priority' : 'project', select.value);
+                        select.value = '';
+                    }
+                });
+            }
+        });
+        
+        // Tag filter (FilterByTags)
+        const tagFilterInput = document.getElementById('filterTags');
+        if (tagFilterInput) {
+            tagFilterInput.addEventListener('input', () => {
+                this.uiManager.updateTagSuggestions(tagFilterInput,
+                    document.getElementById('filterTagSuggestions'), this.taskManager.getAllTags());
+                this.uiManager.renderTasks();
+            });
+        }
+        const tagModeSelect = document.getElementById('filterTagsMode');
+        if (tagModeSelect) {
+            tagModeSelect.addEventListener('change', () => {
                 this.uiManager.renderTasks();
             });
         }
         
+        // Tag autocomplete in the task form
+        const tagInput = document.getElementById('taskTags');
+        if (tagInput) {
+            const updateSuggestions = () => {
+                this.uiManager.updateTagSuggestions(tagInput,
+                    document.getElementById('tagSuggestions'), this.taskManager.getAllTags());
+            };
+            tagInput.addEventListener('input', updateSuggestions);
+            tagInput.addEventListener('focus', updateSuggestions);
+        }
+        
+        // Undo/Redo keyboard shortcuts (Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y),
+        // the other shortcuts and the command palette (Ctrl+K)
+        document.addEventListener('keydown', (e) => {
+            this.handleHistoryShortcut(e);
+            this.handleKeyboardShortcut(e);
+        });
+        
         // Export button (FR10: Export tasks)
         const exportBtn = document.getElementById('exportBtn');
         if (exportBtn) {
@@ -92,6 +317,85 @@ class App {
             });
         }
         
+        // Report formats can be grouped by status or priority
+        const exportFormat = document.getElementById('exportFormat');
+        const exportGroupBy = document.getElementById('exportGroupBy');
+        if (exportFormat && exportGroupBy) {
+            exportFormat.addEventListener('change', () => {
+                exportGroupBy.hidden = !TaskFormats.isReport(exportFormat.value);
+            });
+        }
+        
+        // Import (JSON / CSV file → preview → confirm)
+        const importBtn = document.getElementById('importBtn');
+        const importFile = document.getElementById('importFile');
+        if (importBtn && importFile) {
+            importBtn.addEventListener('click', () => {
+                importFile.click();
+            });
+            importFile.addEventListener('change', () => {
+                if (importFile.files.length > 0) {
+                    this.handleImportFile(importFile.files[0]);
+                }
+                // Allow picking the same file again
+                importFile.value = '';
+            });
+        }
+        const confirmImportBtn = document.getElementById('confirmImportBtn');
+        if (confirmImportBtn) {
+            confirmImportBtn.addEventListener('click', () => {
+                this.confirmImport();
+            });
+        }
+        const cancelImportBtn = document.getElementById('cancelImportBtn');
+        if (cancelImportBtn) {
+            cancelImportBtn.addEventListener('click', () => {
+                this.cancelImport();
+            });
+        }
+        
+        // Browser notifications for reminders (permission needs a click)
+        const enableNotificationsBtn = document.getElementById('enableNotificationsBtn');
+        if (enableNotificationsBtn) {
+            this.uiManager.updateNotificationButton();
+            enableNotificationsBtn.addEventListener('click', async () => {
+                const granted = await ReminderScheduler.requestPermission();
+                this.uiManager.updateNotificationButton();
+                if (!granted) {
+                    this.uiManager.showNotification('Notifications are blocked - reminders will show in the app', 'info');
+                }
+            });
+        }
+        
+        // Backups (snapshot list, restore)
+        const backupBtn = document.getElementById('backupBtn');
+        if (backupBtn) {
+            backupBtn.addEventListener('click', () => {
+                this.uiManager.toggleBackupPanel(this.taskManager.getSnapshots());
+            });
+        }
+        const restoreFromBackupBtn = document.getElementById('restoreFromBackupBtn');
+        if (restoreFromBackupBtn) {
+            restoreFromBackupBtn.addEventListener('click', () => {
+                const panel = document.getElementById('backupPanel');
+                if (panel && panel.hidden) {
+                    this.uiManager.toggleBackupPanel(this.taskManager.getSnapshots());
+                }
+            });
+        }
+        const closeBackupBtn = document.getElementById('closeBackupBtn');
+        if (closeBackupBtn) {
+            closeBackupBtn.addEventListener('click', () => {
+                this.uiManager.toggleBackupPanel([]);
+            });
+        }
+        const takeSnapshotBtn = document.getElementById('takeSnapshotBtn');
+        if (takeSnapshotBtn) {
+            takeSnapshotBtn.addEventListener('click', () => {
+                this.takeSnapshot();
+            });
+        }
+        
         console.log('✅ Event listeners attached');
     }
     
@@ -106,6 +410,12 @@ class App {
             const description = document.getElementById('taskDescription').value.trim();
             const deadline = document.getElementById('taskDeadline').value;
             const priority = document.getElementById('taskPriority').value;
+            const recurrence = this.uiManager.getRecurrenceFromForm();
+            const autoComplete = document.getElementById('taskAutoComplete').checked;
+            const tags = TaskFactory.normalizeTags(document.getElementById('taskTags').value);
+            const reminders = TaskFactory.normalizeReminders(this.uiManager.getRemindersFromForm());
+            const blockedBy = this.uiManager.getBlockedByFromForm();
+            const projectId = this.uiManager.getProjectFromForm();
             
             // Validate
             if (!title || !deadline || !priority) {
@@ -113,19 +423,52 @@ class App {
                 return;
             }
             
+            if (recurrence && recurrence.frequency === 'weekly' && recurrence.weekdays.length === 0) {
+                this.uiManager.showError('Please pick at least one weekday to repeat on');
+                return;
+            }
+            
+            let estimate;
+            try {
+                estimate = this.uiManager.getEstimateFromForm();
+            } catch (error) {
+                this.uiManager.showError(error.message);
+                return;
+            }
+            
             // Check if editing or creating
             if (this.editingTaskId) {
+                try {
+                    this.taskManager.checkBlockers(this.editingTaskId, blockedBy);
+                } catch (error) {
+                    this.uiManager.showError(error.message);
+                    return;
+                }
+                
+                // Keep the position in the series when editing a recurring task
+                const existing = this.taskManager.getTaskById(this.editingTaskId);
+                if (recurrence && existing && existing.recurrence) {
+                    recurrence.occurrence = existing.recurrence.occurrence;
+                }
+                
                 // FR2: Update existing task
                 this.updateTask(this.editingTaskId, {
                     title,
                     description,
                     deadline,
-                    priority
+                    priority,
+                    recurrence: RecurrenceRule.normalize(recurrence),
+                    autoComplete,
+                    tags,
+                    reminders,
+                    blockedBy,
+                    projectId,
+                    estimate
                 });
                 this.editingTaskId = null;
             } else {
                 // FR1: Create new task
-                this.createTask(title, description, deadline, priority);
+                this.createTask(title, description, deadline, priority, { recurrence, autoComplete, tags, reminders, blockedBy, projectId, estimate });
             }
             
             // Clear form
@@ -141,10 +484,10 @@ class App {
     /**
      * FR1: Create a new task
      */
-    createTask(title, description, deadline, priority) {
+    createTask(title, description, deadline, priority, details = {}) {
         try {
-            this.taskManager.createTask(title, description, deadline, priority);
-            this.uiManager.showSuccess('✅ Task added successfully');
+            this.taskManager.createTask(title, description, deadline, priority, details);
+            this.uiManager.showSuccess('✅ Task added successfully', this.undoAction());
             console.log('✅ Task created successfully');
         } catch (error) {
             console.error('❌ Error creating task:', error);
@@ -153,13 +496,73 @@ class App {
         }
     }
     
+    /**
+     * Task fields for a quick-add line: what QuickAddParser found, the form's
+     * defaults for the rest (deadline tomorrow at noon, Medium, current project)
+     * @returns {Object|null} { title, deadline: Date, priority, tags, project, unknownProject, given }
+     *                        or null for an empty line
+     */
+    getQuickAddFields(text, now = new Date()) {
+        if (!text || !text.trim()) return null;
+        
+        const parsed = QuickAddParser.parse(text, now);
+        const projects = this.taskManager.projects;
+        const project = parsed.project ? projects.findByName(parsed.project) : null;
+        
+        let deadline = parsed.deadline;
+        if (!deadline) {
+            deadline = new Date(now);
+            deadline.setDate(deadline.getDate() + 1);
+            deadline.setHours(QuickAddParser.DEFAULT_HOUR, 0, 0, 0);
+        }
+        
+        return {
+            title: parsed.title,
+            deadline,
+            priority: parsed.priority || 'Medium',
+            tags: parsed.tags,
+            project: project || projects.getById(projects.getDefaultId()),
+            unknownProject: parsed.project && !project ? parsed.project : null,
+            given: { deadline: !!parsed.deadline, priority: !!parsed.priority, project: !!project }
+        };
+    }
+    
+    /**
+     * Create a task from a quick-add line ("Send invoice tomorrow 3pm !high #billing")
+     */
+    quickAdd(text) {
+        const fields = this.getQuickAddFields(text);
+        if (!fields) return;
+        if (!fields.title) {
+            this.uiManager.showError('Quick add needs a title besides the date, priority and tags');
+            return;
+        }
+        
+        try {
+            this.createTask(fields.title, '', RecurrenceRule.toInputValue(fields.deadline), fields.priority, {
+                tags: fields.tags,
+                projectId: fields.project.id
+            });
+            document.getElementById('quickAddInput').value = '';
+            this.uiManager.renderQuickAddPreview(null);
+        } catch (error) {
+            // createTask already reported it; keep the text so it can be fixed
+        }
+    }
+    
+    focusQuickAdd() {
+        const quickAddInput = document.getElementById('quickAddInput');
+        quickAddInput.focus();
+        quickAddInput.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+    
     /**
      * FR2: Update an existing task
      */
     updateTask(id, updates) {
         try {
             this.taskManager.updateTask(id, updates);
-            this.uiManager.showSuccess('✅ Task updated successfully');
+            this.uiManager.showSuccess('✅ Task updated successfully', this.undoAction());
             console.log('✅ Task updated successfully');
         } catch (error) {
             console.error('❌ Error updating task:', error);
@@ -174,7 +577,7 @@ class App {
     deleteTask(id) {
         try {
             this.taskManager.deleteTask(id);
-            this.uiManager.showSuccess('✅ Task deleted successfully');
+            this.uiManager.showSuccess('✅ Task deleted successfully', this.undoAction());
             console.log('✅ Task deleted successfully');
             
             // Clear editing state if deleting the task being edited
@@ -193,8 +596,14 @@ class App {
      */
     completeTask(id) {
         try {
-            this.taskManager.markAsCompleted(id);
-            this.uiManager.showSuccess('✅ Task completed');
+            if (!this.confirmCompletion(id)) return;
+            
+            const task = this.taskManager.markAsCompleted(id);
+            const next = task.nextOccurrenceId ? this.taskManager.getTaskById(task.nextOccurrenceId) : null;
+            const message = next && !Workflow.isCompleted(next)
+                ? `✅ Task completed · 🔁 next due ${new Date(next.deadline).toLocaleDateString('en-US')}`
+                : '✅ Task completed';
+            this.uiManager.showSuccess(message, this.undoAction());
             console.log('✅ Task marked as completed');
         } catch (error) {
             console.error('❌ Error completing task:', error);
@@ -202,13 +611,27 @@ class App {
         }
     }
     
+    /**
+     * Ask before completing a task whose blockers are still open
+     * @returns {boolean} True to go ahead
+     */
+    confirmCompletion(id) {
+        const blockers = this.taskManager.getOpenBlockers(id);
+        if (blockers.length === 0) {
+            return true;
+        }
+        
+        const titles = blockers.map(blocker => `"${blocker.title}"`).join(', ');
+        return confirm(`⚠️ This task is still blocked by ${titles}. Complete it anyway?`);
+    }
+    
     /**
      * Mark task as not completed (bonus feature)
      */
     uncompleteTask(id) {
         try {
             this.taskManager.markAsNotCompleted(id);
-            this.uiManager.showSuccess('✅ Task marked as incomplete');
+            this.uiManager.showSuccess('✅ Task marked as incomplete', this.undoAction());
             console.log('✅ Task marked as not completed');
         } catch (error) {
             console.error('❌ Error uncompleting task:', error);
@@ -216,6 +639,417 @@ class App {
         }
     }
     
+    /**
+     * Preset the natural direction of a sort key (newest first for creation date)
+     */
+    applyDefaultSortDirection(key, directionSelectId) {
+        const directionSelect = document.getElementById(directionSelectId);
+        if (directionSelect && CompositeSort.DEFAULT_DIRECTIONS[key]) {
+            directionSelect.value = CompositeSort.DEFAULT_DIRECTIONS[key];
+        }
+    }
+    
+    /**
+     * Add an empty condition row to the filter builder
+     */
+    addFilterCondition() {
+        const spec = this.uiManager.readFilterSpec();
+        spec.conditions.push({ type: 'overdue', negate: false, value: '' });
+        this.uiManager.renderFilterBuilder(spec);
+    }
+    
+    /**
+     * Apply the filter currently built in the filter builder
+     */
+    applyCustomFilter() {
+        const spec = this.uiManager.readFilterSpec();
+        if (spec.conditions.length === 0) {
+            this.uiManager.showError('Add at least one condition');
+            return;
+        }
+        
+        this.uiManager.customFilterSpec = spec;
+        this.selectFilter('custom');
+    }
+    
+    /**
+     * Save the built filter as a named smart list
+     */
+    saveSmartList() {
+        try {
+            const nameInput = document.getElementById('smartListName');
+            const smartList = this.uiManager.smartLists.save(nameInput.value, this.uiManager.readFilterSpec());
+            nameInput.value = '';
+            
+            this.uiManager.renderSmartLists();
+            this.selectFilter(`smart:${smartList.id}`);
+            this.uiManager.showSuccess(`⭐ Smart list "${smartList.name}" saved`);
+        } catch (error) {
+            console.error('❌ Error saving smart list:', error);
+            this.uiManager.showError(error.message);
+        }
+    }
+    
+    /**
+     * Load a smart list into the filter builder for editing
+     */
+    editSmartList(id) {
+        const smartList = this.uiManager.smartLists.getById(id);
+        if (!smartList) return;
+        
+        document.getElementById('smartListName').value = smartList.name;
+        this.uiManager.renderFilterBuilder(smartList.filter);
+    }
+    
+    /**
+     * Delete a smart list
+     */
+    deleteSmartList(id) {
+        const smartList = this.uiManager.smartLists.getById(id);
+        if (!smartList || !confirm(`Delete smart list "${smartList.name}"?`)) return;
+        
+        this.uiManager.smartLists.delete(id);
+        this.uiManager.renderSmartLists();
+        
+        // Fall back to all tasks if the deleted list was active
+        const filterSelect = document.getElementById('filterBy');
+        if (filterSelect && (filterSelect.value === `smart:${id}` || !filterSelect.value)) {
+            this.selectFilter('all');
+        }
+        this.uiManager.showSuccess('✅ Smart list deleted');
+    }
+    
+    /**
+     * Select a filter in the dropdown and re-render
+     */
+    selectFilter(value) {
+        const filterSelect = document.getElementById('filterBy');
+        if (filterSelect) {
+            filterSelect.value = value;
+        }
+        this.uiManager.updateFilterControls();
+        this.uiManager.renderTasks();
+    }
+    
+    /**
+     * Apply a batch action to the selected tasks (one undo step)
+     * @param {string} action - complete | uncomplete | delete | priority | shift | retag | project | clear
+     * @param {string} [value] - Priority or project id
+     */
+    runBatchAction(action, value = null) {
+        const ids = this.uiManager.getSelectedIds();
+        if (action === 'clear' || ids.length === 0) {
+            this.uiManager.clearSelection();
+            return;
+        }
+        
+        try {
+            let message;
+            switch (action) {
+                case 'complete': {
+                    // Blockers that are selected too are completed along with them
+                    const blocked = ids.filter(id => this.taskManager.getOpenBlockers(id).some(blocker => !ids.includes(blocker.id)));
+                    if (blocked.length > 0 &&
+                        !confirm(`${blocked.length} of the selected tasks are blocked by open tasks. Complete them anyway?`)) {
+                        return;
+                    }
+                    message = `✅ Completed ${this.taskManager.completeTasks(ids)} task(s)`;
+                    break;
+                }
+                case 'uncomplete':
+                    message = `↩️ Reopened ${this.taskManager.reopenTasks(ids)} task(s)`;
+                    break;
+                case 'delete':
+                    if (!confirm(`Delete ${ids.length} selected task(s)?`)) return;
+                    message = `🗑️ Deleted ${this.taskManager.deleteTasks(ids)} task(s)`;
+                    this.resetEditingIfMissing();
+                    break;
+                case 'priority':
+                    message = `🎯 Set ${this.taskManager.setTasksPriority(ids, value)} task(s) to ${value} priority`;
+                    break;
+                case 'shift': {
+                    const days = Number(document.getElementById('batchShiftDays').value);
+                    message = `📅 Shifted ${this.taskManager.shiftDeadlines(ids, days)} deadline(s) by ${days} day(s)`;
+                    break;
+                }
+                case 'retag': {
+                    const tagsInput = document.getElementById('batchTags');
+                    const mode = document.getElementById('batchTagMode').value;
+                    message = `🏷️ Retagged ${this.taskManager.retagTasks(ids, tagsInput.value, mode)} task(s)`;
+                    tagsInput.value = '';
+                    break;
+                }
+                case 'project':
+                    message = `📁 Moved ${this.taskManager.moveTasksToProject(ids, value)} task(s) to "${this.taskManager.projects.getById(value).name}"`;
+                    break;
+                default:
+                    throw new Error(`Unknown batch action: ${action}`);
+            }
+            this.uiManager.showSuccess(message, this.undoAction());
+        } catch (error) {
+            console.error('❌ Error applying batch action:', error);
+            this.uiManager.showError(error.message);
+        }
+    }
+    
+    /**
+     * Show another project (ProjectManager.ALL for every active project)
+     */
+    switchProject(id) {
+        try {
+            this.taskManager.projects.setActive(id);
+            if (!this.editingTaskId) {
+                this.uiManager.updateProjectOptions(null); // New tasks go to the shown project
+            }
+            this.uiManager.renderProjects();
+            this.uiManager.renderTasks();
+        } catch (error) {
+            console.error('❌ Error switching project:', error);
+            this.uiManager.showError(error.message);
+        }
+    }
+    
+    /**
+     * Create a project from the project panel and show it
+     */
+    createProject() {
+        try {
+            const nameInput = document.getElementById('newProjectName');
+            const colorInput = document.getElementById('newProjectColor');
+            const project = this.taskManager.projects.create(nameInput.value, colorInput ? colorInput.value : null);
+            nameInput.value = '';
+            
+            this.switchProject(project.id);
+            this.uiManager.showSuccess(`📁 Project "${project.name}" created`);
+        } catch (error) {
+            console.error('❌ Error creating project:', error);
+            this.uiManager.showError(error.message);
+        }
+    }
+    
+    renameProject(id, name) {
+        try {
+            const project = this.taskManager.projects.rename(id, name);
+            this.uiManager.showSuccess(`✅ Project renamed to "${project.name}"`);
+        } catch (error) {
+            console.error('❌ Error renaming project:', error);
+            this.uiManager.showError(error.message);
+        }
+        this.uiManager.renderProjects();
+        this.uiManager.renderTasks();
+    }
+    
+    setProjectColor(id, color) {
+        try {
+            this.taskManager.projects.setColor(id, color);
+        } catch (error) {
+            console.error('❌ Error changing project color:', error);
+            this.uiManager.showError(error.message);
+        }
+        this.uiManager.renderProjects();
+        this.uiManager.renderTasks();
+    }
+    
+    /**
+     * Archive a project (its tasks leave "All projects") or restore it
+     */
+    toggleProjectArchived(id) {
+        try {
+            const projects = this.taskManager.projects;
+            const project = projects.require(id);
+            const count = projects.filterTasks(this.taskManager.getAllTasks(), id).length;
+            if (!project.archived && count > 0 &&
+                !confirm(`Archive "${project.name}"? Its ${count} task(s) are hidden from "All projects" until it is restored.`)) {
+                return;
+            }
+            
+            projects.setArchived(id, !project.archived);
+            if (!this.editingTaskId) {
+                this.uiManager.updateProjectOptions(null);
+            }
+            this.uiManager.renderProjects();
+            this.uiManager.renderTasks();
+            this.uiManager.showSuccess(`📦 Project "${project.name}" ${project.archived ? 'archived' : 'restored'}`);
+        } catch (error) {
+            console.error('❌ Error archiving project:', error);
+            this.uiManager.showError(error.message);
+        }
+    }
+    
+    /**
+     * Move tasks to another project
+     */
+    moveTasksToProject(ids, projectId) {
+        try {
+            const moved = this.taskManager.moveTasksToProject(ids, projectId);
+            if (moved > 0) {
+                const project = this.taskManager.projects.getById(projectId);
+                this.uiManager.showSuccess(`📁 Moved ${moved} task(s) to "${project.name}"`, this.undoAction());
+            }
+        } catch (error) {
+            console.error('❌ Error moving tasks:', error);
+            this.uiManager.showError(error.message);
+            this.uiManager.renderTasks();
+        }
+    }
+    
+    /**
+     * Start tracking time on a task (stops the timer running on another one)
+     */
+    startTimer(id) {
+        try {
+            const previous = this.taskManager.getRunningTimerTask();
+            const task = this.taskManager.startTimer(id);
+            const stopped = previous && previous.id !== id ? ` — stopped "${previous.title}"` : '';
+            this.uiManager.showSuccess(`⏱️ Timer started on "${task.title}"${stopped}`, this.undoAction());
+        } catch (error) {
+            console.error('❌ Error starting timer:', error);
+            this.uiManager.showError(error.message);
+        }
+    }
+    
+    stopTimer(id) {
+        try {
+            const task = this.taskManager.stopTimer(id);
+            this.uiManager.showSuccess(`⏱️ Logged on "${task.title}": ${TimeTracking.describe(task)}`, this.undoAction());
+        } catch (error) {
+            console.error('❌ Error stopping timer:', error);
+            this.uiManager.showError(error.message);
+        }
+    }
+    
+    /**
+     * Show only tasks with the given tag
+     */
+    filterByTag(tag) {
+        const tagFilterInput = document.getElementById('filterTags');
+        if (!tagFilterInput) return;
+        
+        tagFilterInput.value = tag;
+        this.selectFilter('tags');
+    }
+    
+    /**
+     * Add a checklist item to a task
+     */
+    addChecklistItem(taskId, text) {
+        if (!text || !text.trim()) {
+            return;
+        }
+        try {
+            this.taskManager.addChecklistItem(taskId, text);
+            this.uiManager.focusChecklistInput(taskId);
+        } catch (error) {
+            console.error('❌ Error adding checklist item:', error);
+            this.uiManager.showError('Failed to add checklist item');
+        }
+    }
+    
+    /**
+     * Tick/untick a checklist item
+     */
+    toggleChecklistItem(taskId, itemId) {
+        try {
+            const wasCompleted = Workflow.isCompleted(this.taskManager.getTaskById(taskId));
+            this.taskManager.toggleChecklistItem(taskId, itemId);
+            
+            const task = this.taskManager.getTaskById(taskId);
+            if (!wasCompleted && Workflow.isCompleted(task)) {
+                this.uiManager.showSuccess('✅ All items done - task completed', this.undoAction());
+            }
+        } catch (error) {
+            console.error('❌ Error toggling checklist item:', error);
+            this.uiManager.showError('Failed to update checklist item');
+        }
+    }
+    
+    /**
+     * Move a checklist item up (-1) or down (+1)
+     */
+    moveChecklistItem(taskId, itemId, offset) {
+        try {
+            this.taskManager.moveChecklistItem(taskId, itemId, offset);
+        } catch (error) {
+            console.error('❌ Error moving checklist item:', error);
+            this.uiManager.showError('Failed to reorder checklist');
+        }
+    }
+    
+    /**
+     * Remove a checklist item
+     */
+    removeChecklistItem(taskId, itemId) {
+        try {
+            this.taskManager.removeChecklistItem(taskId, itemId);
+            this.uiManager.showSuccess('✅ Checklist item removed', this.undoAction());
+        } catch (error) {
+            console.error('❌ Error removing checklist item:', error);
+            this.uiManager.showError('Failed to remove checklist item');
+        }
+    }
+    
+    /**
+     * Move a task to another workflow status (board drag-and-drop)
+     */
+    changeTaskStatus(id, status) {
+        try {
+            const task = this.taskManager.getTaskById(id);
+            if (!task || task.status === status) return;
+            if (Workflow.getInstance().isDone(status) && !this.confirmCompletion(id)) return;
+            
+            this.taskManager.setTaskStatus(id, status);
+            this.uiManager.showSuccess(`✅ Moved to ${status}`, this.undoAction());
+        } catch (error) {
+            console.error('❌ Error changing task status:', error);
+            this.uiManager.showError('Failed to change task status');
+        }
+    }
+    
+    /**
+     * Move a task to another day, keeping its time (calendar drag-and-drop)
+     * @param {string} id - Task ID
+     * @param {string} dateKey - Target day (YYYY-MM-DD)
+     */
+    rescheduleTask(id, dateKey) {
+        try {
+            const task = this.taskManager.getTaskById(id);
+            if (!task) return;
+            
+            const current = new Date(task.deadline);
+            const [year, month, day] = dateKey.split('-').map(Number);
+            const target = new Date(current);
+            target.setFullYear(year, month - 1, day);
+            
+            if (target.getTime() === current.getTime()) return;
+            
+            this.taskManager.updateTask(id, { deadline: RecurrenceRule.toInputValue(target) });
+            this.uiManager.showSuccess(
+                `📅 Rescheduled to ${target.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`,
+                this.undoAction()
+            );
+        } catch (error) {
+            console.error('❌ Error rescheduling task:', error);
+            this.uiManager.showError('Failed to reschedule task');
+        }
+    }
+    
+    /**
+     * Save the statuses typed in the workflow editor
+     */
+    saveWorkflow() {
+        try {
+            const input = document.getElementById('workflowStatuses');
+            const statuses = input.value.split(',').map(status => status.trim()).filter(Boolean);
+            
+            this.taskManager.setWorkflow(statuses);
+            this.uiManager.toggleWorkflowEditor();
+            this.uiManager.showSuccess(`✅ Workflow: ${statuses.join(' → ')}`, this.undoAction());
+        } catch (error) {
+            console.error('❌ Error saving workflow:', error);
+            this.uiManager.showError(error.message);
+        }
+    }
+    
     /**
      * FR2: Prepare to edit a task
      */
@@ -247,19 +1081,219 @@ class App {
         }
     }
     
+    /**
+     * Undo the last task change
+     */
+    undo() {
+        try {
+            const command = this.taskManager.undo();
+            if (!command) {
+                this.uiManager.showNotification('Nothing to undo');
+                return;
+            }
+            this.resetEditingIfMissing();
+            this.uiManager.showNotification(`↩️ Undone: ${command.label}`, 'info', {
+                label: '↪️ Redo',
+                onClick: () => this.redo()
+            });
+        } catch (error) {
+            console.error('❌ Error undoing change:', error);
+            this.uiManager.showError('Failed to undo');
+        }
+    }
+    
+    /**
+     * Redo the last undone task change
+     */
+    redo() {
+        try {
+            const command = this.taskManager.redo();
+            if (!command) {
+                this.uiManager.showNotification('Nothing to redo');
+                return;
+            }
+            this.resetEditingIfMissing();
+            this.uiManager.showNotification(`↪️ Redone: ${command.label}`, 'info', this.undoAction());
+        } catch (error) {
+            console.error('❌ Error redoing change:', error);
+            this.uiManager.showError('Failed to redo');
+        }
+    }
+    
+    /**
+     * Toast action that undoes the last change
+     */
+    undoAction() {
+        return {
+            label: '↩️ Undo',
+            onClick: () => this.undo()
+        };
+    }
+    
+    /**
+     * Ctrl+Z = undo, Ctrl+Shift+Z / Ctrl+Y = redo
+     * Text fields keep their native undo behaviour
+     */
+    handleHistoryShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey)) return;
+        
+        const target = e.target;
+        if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) {
+            return;
+        }
+        
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            this.redo();
+        }
+    }
+    
+    /**
+     * Shortcuts outside text fields:
+     * n new task · q quick add · / search · j/k next/previous card · x complete · e edit ·
+     * Delete delete · Esc cancel editing · Ctrl+K command palette (anywhere)
+     * x and Delete act on the selected cards when there are any, else on the focused card
+     */
+    handleKeyboardShortcut(e) {
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            this.commandPalette.toggle();
+            return;
+        }
+        if (this.commandPalette.isOpen()) {
+            if (e.key === 'Escape') {
+                this.commandPalette.close();
+            }
+            return;
+        }
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        
+        const target = e.target;
+        const typing = target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable);
+        if (e.key === 'Escape') {
+            if (typing) {
+                target.blur();
+            }
+            if (this.editingTaskId) {
+                this.cancelEdit();
+            } else if (!typing) {
+                this.uiManager.clearSelection();
+            }
+            return;
+        }
+        if (typing) return;
+        
+        const focusedId = this.uiManager.getFocusedTaskId();
+        const selectedIds = this.uiManager.getSelectedIds();
+        switch (e.key) {
+            case 'n':
+                this.focusNewTask();
+                break;
+            case 'q':
+                this.focusQuickAdd();
+                break;
+            case '/':
+                this.focusSearch();
+                break;
+            case 'j':
+                this.uiManager.moveFocus(1);
+                break;
+            case 'k':
+                this.uiManager.moveFocus(-1);
+                break;
+            case 'x':
+                if (selectedIds.length > 0) {
+                    this.runBatchAction('complete');
+                } else if (focusedId) {
+                    this.completeTask(focusedId);
+                }
+                break;
+            case 'e':
+                if (focusedId) {
+                    this.editTask(focusedId);
+                }
+                break;
+            case 'Delete':
+                if (selectedIds.length > 0) {
+                    this.runBatchAction('delete');
+                } else if (focusedId && confirm('Are you sure you want to delete this task?')) {
+                    this.deleteTask(focusedId);
+                }
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+    
+    /**
+     * Start a new task: leave edit mode and focus the title
+     */
+    focusNewTask() {
+        if (this.editingTaskId) {
+            this.cancelEdit();
+        }
+        const titleInput = document.getElementById('taskTitle');
+        titleInput.focus();
+        titleInput.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+    
+    focusSearch() {
+        const searchInput = document.getElementById('searchBox');
+        searchInput.focus();
+        searchInput.select();
+    }
+    
+    /**
+     * Leave edit mode and reset the form
+     */
+    cancelEdit() {
+        this.editingTaskId = null;
+        this.uiManager.clearForm();
+        this.setDefaultDeadline();
+        
+        const submitBtn = document.querySelector('#taskForm button[type="submit"]');
+        if (submitBtn) {
+            submitBtn.textContent = 'Add Task';
+            submitBtn.classList.remove('editing');
+        }
+    }
+    
+    /**
+     * Leave edit mode if the task being edited no longer exists
+     */
+    resetEditingIfMissing() {
+        if (this.editingTaskId && !this.taskManager.getTaskById(this.editingTaskId)) {
+            this.cancelEdit();
+        }
+    }
+    
     /**
      * FR10: Export all tasks to file
      */
     handleExport() {
         try {
-            const tasks = this.taskManager.getAllTasks();
+            const formatSelect = document.getElementById('exportFormat');
+            const format = formatSelect ? formatSelect.value : 'txt';
+            
+            // Reports follow the current filter, search and sort; the other formats export everything
+            const isReport = TaskFormats.isReport(format);
+            const tasks = isReport ? this.uiManager.getVisibleTasks() : this.taskManager.getAllTasks();
             
             if (tasks.length === 0) {
                 this.uiManager.showError('No tasks to export');
                 return;
             }
             
-            this.taskManager.exportTasks();
+            const groupBySelect = document.getElementById('exportGroupBy');
+            this.taskManager.exportTasks(format, tasks, isReport ? {
+                groupBy: groupBySelect ? groupBySelect.value : 'status',
+                description: this.uiManager.describeView()
+            } : {});
             this.uiManager.showSuccess(`✅ Exported ${tasks.length} tasks successfully`);
             
         } catch (error) {
@@ -268,6 +1302,113 @@ class App {
         }
     }
     
+    /**
+     * Read and validate an import file, then show the preview
+     * @param {File} file - JSON, CSV or iCalendar file chosen by the user
+     */
+    handleImportFile(file) {
+        const format = TaskFormats.fromFileName(file.name);
+        if (!format) {
+            this.uiManager.showError('Unsupported file type (use .json, .csv or .ics)');
+            return;
+        }
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const result = format.parse(String(reader.result));
+                this.pendingImport = result;
+                this.uiManager.showImportPreview(file.name, result);
+            } catch (error) {
+                console.error('❌ Error reading import file:', error);
+                this.uiManager.showError('Failed to read import file');
+            }
+        };
+        reader.onerror = () => {
+            this.uiManager.showError('Failed to read import file');
+        };
+        reader.readAsText(file);
+    }
+    
+    /**
+     * Import the previewed tasks (merge by id or replace everything)
+     */
+    confirmImport() {
+        try {
+            if (!this.pendingImport || this.pendingImport.tasks.length === 0) {
+                return;
+            }
+            
+            const modeInput = document.querySelector('input[name="importMode"]:checked');
+            const mode = modeInput ? modeInput.value : 'merge';
+            const { added, updated } = this.taskManager.importTasks(this.pendingImport.tasks, mode);
+            
+            this.cancelImport();
+            this.resetEditingIfMissing();
+            this.uiManager.showSuccess(`✅ Imported: ${added} added, ${updated} updated`, this.undoAction());
+        } catch (error) {
+            console.error('❌ Error importing tasks:', error);
+            this.uiManager.showError('Failed to import tasks');
+        }
+    }
+    
+    cancelImport() {
+        this.pendingImport = null;
+        this.uiManager.hideImportPreview();
+    }
+    
+    /**
+     * Show a due reminder: browser notification, or an in-app toast
+     * Both lead to a toast with a snooze button
+     */
+    showReminder(task, message) {
+        const showToast = () => {
+            this.uiManager.showNotification(`🔔 ${task.title} - ${message}`, 'info', {
+                label: `💤 Snooze ${ReminderScheduler.SNOOZE_MINUTES} min`,
+                onClick: () => this.reminders.snooze(task.id)
+            });
+        };
+        
+        if (!ReminderScheduler.notify(task, message, showToast)) {
+            showToast();
+        }
+    }
+    
+    /**
+     * Replace the current tasks with a backup (undoable)
+     */
+    restoreSnapshot(id) {
+        try {
+            const snapshot = this.taskManager.snapshots.getById(id);
+            if (!snapshot) return;
+            
+            const date = new Date(snapshot.createdAt).toLocaleString('en-US');
+            if (!confirm(`Replace the current tasks with the backup from ${date} (${snapshot.taskCount} tasks)?`)) return;
+            
+            this.taskManager.restoreSnapshot(id);
+            this.resetEditingIfMissing();
+            this.uiManager.showLoadError(null);
+            this.uiManager.renderSnapshots(this.taskManager.getSnapshots());
+            this.uiManager.showSuccess(`✅ Restored ${snapshot.taskCount} tasks from backup`, this.undoAction());
+        } catch (error) {
+            console.error('❌ Error restoring backup:', error);
+            this.uiManager.showError('Failed to restore backup');
+        }
+    }
+    
+    takeSnapshot() {
+        this.taskManager.takeSnapshot();
+        this.uiManager.renderSnapshots(this.taskManager.getSnapshots());
+        this.uiManager.showSuccess('✅ Snapshot saved');
+    }
+    
+    deleteSnapshot(id) {
+        if (!confirm('Delete this backup?')) return;
+        
+        this.taskManager.deleteSnapshot(id);
+        this.uiManager.renderSnapshots(this.taskManager.getSnapshots());
+    }
+    
     /**
      * Set default deadline to tomorrow at noon
      */
@@ -0,0 +1,83 @@
+/**
+ * BoardView - Kanban board with one column per workflow status
+ * Cards are dragged between columns to change their status
+ * (handled by App.changeTaskStatus → TaskManager.updateTask)
+ */
+class BoardView {
+    /**
+     * @param {HTMLElement} container - Element the board is rendered into
+     * @param {UIManager} uiManager - Used to render the task cards
+     */
+    constructor(container, uiManager) {
+        this.container = container;
+        this.uiManager = uiManager;
+    }
+    
+    /**
+     * Render the columns with the (already filtered and sorted) tasks
+     */
+    render(tasks) {
+        if (!this.container) return;
+        
+        const workflow = Workflow.getInstance();
+        const columns = workflow.getStatuses().map(status => {
+            // Tasks with a status outside the workflow are shown in the first column
+            const columnTasks = tasks.filter(task =>
+                task.status === status ||
+                (!workflow.hasStatus(task.status) && status === workflow.getInitialStatus())
+            );
+            
+            return `
+                <div class="board-column" data-status="${this.uiManager.escapeAttribute(status)}">
+                    <div class="board-column-header status-${Workflow.toClassName(status)}">
+                        <span>${this.uiManager.escapeHtml(status)}</span>
+                        <span class="board-count">${columnTasks.length}</span>
+                    </div>
+                    <div class="board-column-body">
+                        ${columnTasks.map(task => this.uiManager.createTaskCard(task, { draggable: true })).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+        
+        this.container.innerHTML = columns;
+        this.attachDragAndDrop();
+    }
+    
+    /**
+     * HTML5 drag-and-drop between columns
+     */
+    attachDragAndDrop() {
+        this.container.querySelectorAll('.task-card[draggable="true"]').forEach(card => {
+            card.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData('text/plain', card.dataset.id);
+                e.dataTransfer.effectAllowed = 'move';
+                card.classList.add('dragging');
+            });
+            card.addEventListener('dragend', () => {
+                card.classList.remove('dragging');
+            });
+        });
+        
+        this.container.querySelectorAll('.board-column').forEach(column => {
+            column.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                column.classList.add('drag-over');
+            });
+            column.addEventListener('dragleave', (e) => {
+                if (!column.contains(e.relatedTarget)) {
+                    column.classList.remove('drag-over');
+                }
+            });
+            column.addEventListener('drop', (e) => {
+                e.preventDefault();
+                column.classList.remove('drag-over');
+                const id = e.dataTransfer.getData('text/plain');
+                if (id) {
+                    window.app.changeTaskStatus(id, column.dataset.status);
+                }
+            });
+        });
+    }
+}
@@ -0,0 +1,322 @@
+/**
+ * CalendarView - Places tasks on their deadline
+ * Modes: month grid, week columns and agenda list
+ * Tasks can be dragged to another day to reschedule them
+ * (handled by App.rescheduleTask → TaskManager.updateTask)
+ */
+class CalendarView {
+    static MODES = ['month', 'week', 'agenda'];
+    static AGENDA_DAYS = 30;
+    static WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    
+    /**
+     * @param {HTMLElement} container - Element the calendar is rendered into
+     * @param {UIManager} uiManager - Used for escaping and priority colours
+     */
+    constructor(container, uiManager) {
+        this.container = container;
+        this.uiManager = uiManager;
+        this.mode = 'month';
+        this.cursor = CalendarView.startOfDay(new Date());
+        this.tasks = [];
+    }
+    
+    // ============================================
+    // DATE HELPERS
+    // ============================================
+    
+    static startOfDay(date) {
+        const day = new Date(date);
+        day.setHours(0, 0, 0, 0);
+        return day;
+    }
+    
+    static addDays(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() + days);
+        return result;
+    }
+    
+    /**
+     * Local day key (YYYY-MM-DD)
+     */
+    static toDateKey(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+    
+    /**
+     * First day (Sunday) of the week containing the date
+     */
+    static startOfWeek(date) {
+        const day = this.startOfDay(date);
+        return this.addDays(day, -day.getDay());
+    }
+    
+    // ============================================
+    // NAVIGATION
+    // ============================================
+    
+    setMode(mode) {
+        if (CalendarView.MODES.includes(mode)) {
+            this.mode = mode;
+        }
+    }
+    
+    /**
+     * Move one month / week / agenda page backwards (-1) or forwards (+1)
+     */
+    navigate(direction) {
+        if (this.mode === 'month') {
+            this.cursor = new Date(this.cursor.getFullYear(), this.cursor.getMonth() + direction, 1);
+        } else if (this.mode === 'week') {
+            this.cursor = CalendarView.addDays(this.cursor, 7 * direction);
+        } else {
+            this.cursor = CalendarView.addDays(this.cursor, CalendarView.AGENDA_DAYS * direction);
+        }
+    }
+    
+    goToToday() {
+        this.cursor = CalendarView.startOfDay(new Date());
+    }
+    
+    // ============================================
+    // RENDERING
+    // ============================================
+    
+    /**
+     * Render the calendar with the (already filtered and sorted) tasks
+     */
+    render(tasks) {
+        if (!this.container) return;
+        
+        this.tasks = tasks;
+        const tasksByDay = this.groupByDay(tasks);
+        
+        let body;
+        switch (this.mode) {
+            case 'week':
+                body = this.renderWeek(tasksByDay);
+                break;
+            case 'agenda':
+                body = this.renderAgenda(tasksByDay);
+                break;
+            default:
+                body = this.renderMonth(tasksByDay);
+        }
+        
+        this.container.innerHTML = `
+            <div class="calendar-toolbar">
+                <div class="calendar-nav">
+                    <button type="button" class="btn-small calendar-prev" title="Previous">◀</button>
+                    <button type="button" class="btn-small calendar-today">Today</button>
+                    <button type="button" class="btn-small calendar-next" title="Next">▶</button>
+                    <h3 class="calendar-title">${this.getTitle()}</h3>
+                </div>
+                <div class="calendar-modes">
+                    ${CalendarView.MODES.map(mode => `
+                        <button type="button" class="view-btn calendar-mode ${mode === this.mode ? 'active' : ''}"
+                                data-mode="${mode}">${mode.charAt(0).toUpperCase() + mode.slice(1)}</button>
+                    `).join('')}
+                </div>
+            </div>
+            ${body}
+        `;
+        
+        this.attachEventListeners();
+    }
+    
+    /**
+     * Tasks grouped by local deadline day
+     * @returns {Map} dateKey → tasks
+     */
+    groupByDay(tasks) {
+        const groups = new Map();
+        tasks.forEach(task => {
+            const deadline = new Date(task.deadline);
+            if (isNaN(deadline)) return;
+            
+            const key = CalendarView.toDateKey(deadline);
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(task);
+        });
+        return groups;
+    }
+    
+    getTitle() {
+        if (this.mode === 'month') {
+            return this.cursor.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+        }
+        
+        const start = this.mode === 'week' ? CalendarView.startOfWeek(this.cursor) : this.cursor;
+        const days = this.mode === 'week' ? 6 : CalendarView.AGENDA_DAYS - 1;
+        const end = CalendarView.addDays(start, days);
+        const format = { month: 'short', day: 'numeric', year: 'numeric' };
+        return `${start.toLocaleDateString('en-US', format)} – ${end.toLocaleDateString('en-US', format)}`;
+    }
+    
+    renderMonth(tasksByDay) {
+        const firstOfMonth = new Date(this.cursor.getFullYear(), this.cursor.getMonth(), 1);
+        const gridStart = CalendarView.startOfWeek(firstOfMonth);
+        const todayKey = CalendarView.toDateKey(new Date());
+        
+        const cells = [];
+        for (let i = 0; i < 42; i++) {
+            const day = CalendarView.addDays(gridStart, i);
+            const key = CalendarView.toDateKey(day);
+            const classes = [
+                'calendar-day',
+                day.getMonth() !== this.cursor.getMonth() ? 'other-month' : '',
+                key === todayKey ? 'today' : ''
+            ].join(' ');
+            
+            cells.push(`
+                <div class="${classes}" data-date="${key}">
+                    <div class="calendar-day-number">${day.getDate()}</div>
+                    ${(tasksByDay.get(key) || []).map(task => this.renderTaskChip(task)).join('')}
+                </div>
+            `);
+        }
+        
+        return `
+            <div class="calendar-grid month">
+                ${CalendarView.WEEKDAY_NAMES.map(name => `<div class="calendar-weekday">${name}</div>`).join('')}
+                ${cells.join('')}
+            </div>
+        `;
+    }
+    
+    renderWeek(tasksByDay) {
+        const weekStart = CalendarView.startOfWeek(this.cursor);
+        const todayKey = CalendarView.toDateKey(new Date());
+        
+        const columns = [];
+        for (let i = 0; i < 7; i++) {
+            const day = CalendarView.addDays(weekStart, i);
+            const key = CalendarView.toDateKey(day);
+            
+            columns.push(`
+                <div class="calendar-day week-day ${key === todayKey ? 'today' : ''}" data-date="${key}">
+                    <div class="calendar-day-number">
+                        ${CalendarView.WEEKDAY_NAMES[day.getDay()]} ${day.getDate()}
+                    </div>
+                    ${(tasksByDay.get(key) || []).map(task => this.renderTaskChip(task, true)).join('')}
+                </div>
+            `);
+        }
+        
+        return `<div class="calendar-grid week">${columns.join('')}</div>`;
+    }
+    
+    renderAgenda(tasksByDay) {
+        const sections = [];
+        
+        for (let i = 0; i < CalendarView.AGENDA_DAYS; i++) {
+            const day = CalendarView.addDays(this.cursor, i);
+            const key = CalendarView.toDateKey(day);
+            const dayTasks = tasksByDay.get(key) || [];
+            if (dayTasks.length === 0) continue;
+            
+            sections.push(`
+                <div class="agenda-day calendar-day" data-date="${key}">
+                    <div class="agenda-date">
+                        ${day.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' })}
+                    </div>
+                    ${dayTasks.map(task => this.renderTaskChip(task, true)).join('')}
+                </div>
+            `);
+        }
+        
+        return `
+            <div class="calendar-agenda">
+                ${sections.join('') || '<p class="calendar-empty">No deadlines in this period 🎉</p>'}
+            </div>
+        `;
+    }
+    
+    /**
+     * Small draggable entry for a task
+     * @param {boolean} showTime - Show the deadline time
+     */
+    renderTaskChip(task, showTime = false) {
+        const isCompleted = Workflow.isCompleted(task);
+        const isOverdue = FilterOverdue.isOverdue(task);
+        const time = new Date(task.deadline).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+        const classes = [
+            'calendar-task',
+            `priority-${task.priority.toLowerCase()}`,
+            isCompleted ? 'completed' : '',
+            isOverdue ? 'overdue' : ''
+        ].join(' ');
+        
+        return `
+            <div class="${classes}" draggable="true" data-id="${this.uiManager.escapeAttribute(task.id)}"
+                 title="${this.uiManager.escapeAttribute(task.title)} · ${time}${isOverdue ? ' · Overdue' : ''}">
+                ${isOverdue ? '⚠️ ' : ''}${showTime ? `<span class="calendar-task-time">${time}</span> ` : ''}${this.uiManager.escapeHtml(task.title)}
+            </div>
+        `;
+    }
+    
+    /**
+     * Toolbar buttons, task clicks and drag-and-drop between days
+     */
+    attachEventListeners() {
+        const rerender = () => this.render(this.tasks);
+        
+        this.container.querySelector('.calendar-prev').addEventListener('click', () => {
+            this.navigate(-1);
+            rerender();
+        });
+        this.container.querySelector('.calendar-next').addEventListener('click', () => {
+            this.navigate(1);
+            rerender();
+        });
+        this.container.querySelector('.calendar-today').addEventListener('click', () => {
+            this.goToToday();
+            rerender();
+        });
+        this.container.querySelectorAll('.calendar-mode').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.setMode(btn.dataset.mode);
+                rerender();
+            });
+        });
+        
+        this.container.querySelectorAll('.calendar-task').forEach(chip => {
+            chip.addEventListener('click', () => {
+                window.app.editTask(chip.dataset.id);
+            });
+            chip.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData('text/plain', chip.dataset.id);
+                e.dataTransfer.effectAllowed = 'move';
+                chip.classList.add('dragging');
+            });
+            chip.addEventListener('dragend', () => {
+                chip.classList.remove('dragging');
+            });
+        });
+        
+        this.container.querySelectorAll('.calendar-day[data-date]').forEach(day => {
+            day.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                day.classList.add('drag-over');
+            });
+            day.addEventListener('dragleave', (e) => {
+                if (!day.contains(e.relatedTarget)) {
+                    day.classList.remove('drag-over');
+                }
+            });
+            day.addEventListener('drop', (e) => {
+                e.preventDefault();
+                day.classList.remove('drag-over');
+                const id = e.dataTransfer.getData('text/plain');
+                if (id) {
+                    window.app.rescheduleTask(id, day.dataset.date);
+                }
+            });
+        });
+    }
+}
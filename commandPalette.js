@@ -0,0 +1,267 @@
+/**
+ * CommandPalette - Ctrl+K launcher for actions and tasks
+ * Every entry runs an existing App method. The query is fuzzy-matched
+ * against the entry labels: its letters must appear in order, not
+ * necessarily next to each other ("cmpl rep" finds "Complete: Write report").
+ */
+class CommandPalette {
+    static MAX_RESULTS = 12;
+    
+    /**
+     * @param {App} app - Runs the chosen entries
+     */
+    constructor(app) {
+        this.app = app;
+        this.element = document.getElementById('commandPalette');
+        this.input = document.getElementById('commandPaletteInput');
+        this.listElement = document.getElementById('commandPaletteList');
+        this.results = [];
+        this.activeIndex = 0;
+        
+        if (!this.element) return;
+        
+        this.input.addEventListener('input', () => {
+            this.activeIndex = 0;
+            this.render();
+        });
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        
+        // Clicking the backdrop closes the palette
+        this.element.addEventListener('mousedown', (e) => {
+            if (e.target === this.element) {
+                this.close();
+            }
+        });
+    }
+    
+    /**
+     * Match a query against a text
+     * Every place the first letter occurs is tried and the best run kept:
+     * consecutive letters and letters at the start of a word score higher,
+     * shorter texts win ties
+     * @returns {Object|null} { score, positions: Set of matched indexes }, or null when it does not match
+     */
+    static fuzzyMatch(query, text) {
+        const letters = [...query.toLowerCase().replace(/\s+/g, '')];
+        const haystack = text.toLowerCase();
+        if (letters.length === 0) {
+            return { score: 0, positions: new Set() };
+        }
+        
+        let best = null;
+        for (let start = haystack.indexOf(letters[0]); start !== -1; start = haystack.indexOf(letters[0], start + 1)) {
+            const match = this.matchFrom(letters, haystack, start);
+            if (!match) break; // A later start has even less text left
+            if (!best || match.score > best.score) {
+                best = match;
+            }
+        }
+        
+        if (best) {
+            best.score -= haystack.length / 100;
+        }
+        return best;
+    }
+    
+    /**
+     * Greedy match of the letters, the first one at index start
+     */
+    static matchFrom(letters, haystack, start) {
+        const positions = new Set();
+        let score = 0;
+        let from = start;
+        let previous = -2;
+        for (const letter of letters) {
+            const index = haystack.indexOf(letter, from);
+            if (index === -1) {
+                return null;
+            }
+            score += 1;
+            if (index === previous) {
+                score += 5;
+            }
+            if (index === 0 || /[\s\-_:"'(#]/.test(haystack[index - 1])) {
+                score += 3;
+            }
+            positions.add(index);
+            previous = index + letter.length;
+            from = index + letter.length;
+        }
+        return { score, positions };
+    }
+    
+    /**
+     * @returns {number|null} Match score, or null when the text does not match
+     */
+    static fuzzyScore(query, text) {
+        const match = this.fuzzyMatch(query, text);
+        return match ? match.score : null;
+    }
+    
+    isOpen() {
+        return !!this.element && !this.element.hidden;
+    }
+    
+    open() {
+        if (!this.element) return;
+        
+        this.element.hidden = false;
+        this.input.value = '';
+        this.activeIndex = 0;
+        this.render();
+        this.input.focus();
+    }
+    
+    close() {
+        if (!this.element) return;
+        this.element.hidden = true;
+    }
+    
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+    
+    /**
+     * Everything the palette can run: actions first, then one entry per task action
+     * @returns {Array} [{ icon, label, shortcut?, run }]
+     */
+    getEntries() {
+        const app = this.app;
+        const ui = app.uiManager;
+        const views = { list: '📋 List', board: '🗂️ Board', calendar: '📅 Calendar', stats: '📊 Statistics' };
+        
+        const actions = [
+            { icon: '➕', label: 'New task', shortcut: 'N', run: () => app.focusNewTask() },
+            { icon: '⚡', label: 'Quick add task', shortcut: 'Q', run: () => app.focusQuickAdd() },
+            { icon: '🔍', label: 'Search tasks', shortcut: '/', run: () => app.focusSearch() },
+            { icon: '↶', label: 'Undo', shortcut: 'Ctrl+Z', run: () => app.undo() },
+            { icon: '↷', label: 'Redo', shortcut: 'Ctrl+Shift+Z', run: () => app.redo() },
+            { icon: '📥', label: 'Export tasks', run: () => app.handleExport() },
+            { icon: '📤', label: 'Import tasks', run: () => document.getElementById('importFile').click() },
+            { icon: '🗂️', label: 'Restore from backup', run: () => ui.toggleBackupPanel(app.taskManager.getSnapshots()) },
+            { icon: '☑️', label: 'Select all shown tasks', run: () => ui.selectAllVisible(true) },
+            { icon: '✖', label: 'Clear selection', run: () => ui.clearSelection() },
+            { icon: '📁', label: 'Manage projects', run: () => ui.toggleProjectPanel() },
+            ...Object.entries(views).map(([mode, name]) => ({
+                icon: '👁️',
+                label: `Show ${name} view`,
+                run: () => ui.setViewMode(mode)
+            })),
+            { icon: '📚', label: 'Go to project: All projects', run: () => app.switchProject(ProjectManager.ALL) },
+            ...app.taskManager.projects.getAll().map(project => ({
+                icon: '📁',
+                label: `Go to project: ${project.name}${project.archived ? ' (archived)' : ''}`,
+                run: () => app.switchProject(project.id)
+            }))
+        ];
+        
+        const running = app.taskManager.getRunningTimerTask();
+        if (running) {
+            actions.unshift({ icon: '⏹️', label: `Stop timer: ${running.title}`, run: () => app.stopTimer(running.id) });
+        }
+        
+        const taskEntries = app.taskManager.getAllTasks().flatMap(task => [
+            { icon: '✏️', label: `Edit: ${task.title}`, run: () => app.editTask(task.id) },
+            Workflow.isCompleted(task)
+                ? { icon: '↩️', label: `Reopen: ${task.title}`, run: () => app.uncompleteTask(task.id) }
+                : { icon: '✅', label: `Complete: ${task.title}`, run: () => app.completeTask(task.id) }
+        ]);
+        
+        return [...actions, ...taskEntries];
+    }
+    
+    /**
+     * Best matches for a query, best first (entry order for an empty query)
+     */
+    search(query) {
+        return this.getEntries()
+            .map((entry, order) => ({ entry, order, score: CommandPalette.fuzzyScore(query, entry.label) }))
+            .filter(result => result.score !== null)
+            .sort((a, b) => b.score - a.score || a.order - b.order)
+            .slice(0, CommandPalette.MAX_RESULTS)
+            .map(result => result.entry);
+    }
+    
+    render() {
+        const query = this.input.value;
+        this.results = this.search(query);
+        this.activeIndex = Math.min(this.activeIndex, Math.max(0, this.results.length - 1));
+        
+        if (this.results.length === 0) {
+            this.listElement.innerHTML = '<li class="command-palette-empty">No matching commands or tasks</li>';
+            return;
+        }
+        
+        this.listElement.innerHTML = this.results.map((entry, index) => `
+            <li class="command-palette-item ${index === this.activeIndex ? 'active' : ''}" data-index="${index}"
+                role="option" aria-selected="${index === this.activeIndex}">
+                <span>${entry.icon} ${this.highlight(query, entry.label)}</span>
+                ${entry.shortcut ? `<kbd>${entry.shortcut}</kbd>` : ''}
+            </li>
+        `).join('');
+        
+        this.listElement.querySelectorAll('.command-palette-item').forEach(item => {
+            item.addEventListener('click', () => {
+                this.run(Number(item.dataset.index));
+            });
+        });
+    }
+    
+    /**
+     * Escaped label with the matched letters in <mark>
+     */
+    highlight(query, label) {
+        const match = CommandPalette.fuzzyMatch(query, label);
+        const positions = match ? match.positions : new Set();
+        const escape = text => this.app.uiManager.escapeHtml(text);
+        let html = '';
+        let plain = '';
+        for (let index = 0; index < label.length;) {
+            // Whole characters, so emoji are not split
+            const char = String.fromCodePoint(label.codePointAt(index));
+            if (positions.has(index)) {
+                html += `${escape(plain)}<mark>${escape(char)}</mark>`;
+                plain = '';
+            } else {
+                plain += char;
+            }
+            index += char.length;
+        }
+        return html + escape(plain);
+    }
+    
+    /**
+     * Close the palette and run an entry
+     */
+    run(index) {
+        const entry = this.results[index];
+        if (!entry) return;
+        
+        this.close();
+        entry.run();
+    }
+    
+    /**
+     * Arrow keys pick an entry, Enter runs it, Escape closes the palette
+     */
+    handleKeydown(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const count = this.results.length;
+            if (count === 0) return;
+            this.activeIndex = (this.activeIndex + (e.key === 'ArrowDown' ? 1 : -1) + count) % count;
+            this.render();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.run(this.activeIndex);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            this.close();
+        }
+    }
+}
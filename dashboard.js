@@ -0,0 +1,195 @@
+/**
+ * DashboardView - Statistics of the shown tasks as charts
+ * Bars are plain HTML/CSS, the completion rate line is inline SVG,
+ * so nothing is loaded from external services
+ * (data from TaskManager.getStatistics via UIManager.updateStatistics)
+ */
+class DashboardView {
+    static PRIORITY_COLORS = { High: '#e53e3e', Medium: '#dd6b20', Low: '#38a169' };
+    static BAR_COLOR = '#667eea';
+    
+    /**
+     * @param {HTMLElement} container - Element the dashboard is rendered into
+     * @param {UIManager} uiManager - Used for escaping
+     */
+    constructor(container, uiManager) {
+        this.container = container;
+        this.uiManager = uiManager;
+    }
+    
+    /**
+     * Lead time as "3.5 days", "5 h" or "20 min"
+     */
+    static formatDuration(ms) {
+        if (ms === null) return '–';
+        
+        const minutes = ms / 60000;
+        if (minutes < 60) return `${Math.round(minutes)} min`;
+        if (minutes < 48 * 60) return `${Math.round(minutes / 60)} h`;
+        return `${(minutes / 1440).toFixed(1)} days`;
+    }
+    
+    render(stats) {
+        if (!this.container) return;
+        
+        const workflow = Workflow.getInstance();
+        const statusRows = Object.entries(stats.byStatus).map(([status, count]) => ({
+            label: status,
+            count,
+            color: workflow.isDone(status) ? '#38a169' : DashboardView.BAR_COLOR
+        }));
+        const priorityRows = Object.entries(stats.byPriority).map(([priority, count]) => ({
+            label: priority,
+            count,
+            color: DashboardView.PRIORITY_COLORS[priority]
+        }));
+        const projectRows = Object.values(stats.byProject).map(project => ({
+            label: `${project.name} · ${project.completionRate}% done`,
+            count: project.total,
+            color: project.color
+        }));
+        const dayFormat = { month: 'short', day: 'numeric' };
+        
+        // Estimated vs. logged time, on the tasks that have an estimate
+        const time = stats.time;
+        const timeRows = [
+            { label: `Estimated (${time.estimatedTasks} task(s))`, count: time.estimated, color: DashboardView.BAR_COLOR },
+            {
+                label: `Logged on them · ${time.overEstimate} over`,
+                count: time.trackedOnEstimated,
+                color: time.trackedOnEstimated > time.estimated ? '#e53e3e' : '#38a169'
+            }
+        ].map(row => ({ ...row, display: TimeTracking.formatMinutes(row.count) }));
+        
+        this.container.innerHTML = `
+            <div class="dashboard-cards">
+                ${this.renderCard('Tasks', stats.total)}
+                ${this.renderCard('Completed', stats.completed)}
+                ${this.renderCard('Completion rate', `${stats.completionRate}%`)}
+                ${this.renderCard('Overdue', stats.overdue, stats.overdue > 0 ? 'alert' : '')}
+                ${this.renderCard('Avg. lead time', DashboardView.formatDuration(stats.averageLeadTime))}
+                ${time.tracked > 0 || time.running ? this.renderCard(`Time logged${time.running ? ' ⏺' : ''}`, TimeTracking.formatMinutes(time.tracked)) : ''}
+            </div>
+            <div class="dashboard-charts">
+                <div class="dashboard-chart">
+                    <h4>By status</h4>
+                    ${this.renderBars(statusRows, stats.total)}
+                </div>
+                <div class="dashboard-chart">
+                    <h4>By priority</h4>
+                    ${this.renderBars(priorityRows, stats.total)}
+                </div>
+                ${projectRows.length > 1 ? `
+                    <div class="dashboard-chart">
+                        <h4>By project</h4>
+                        ${this.renderBars(projectRows, stats.total)}
+                    </div>
+                ` : ''}
+                ${time.estimatedTasks > 0 ? `
+                    <div class="dashboard-chart">
+                        <h4>Estimated vs. logged time</h4>
+                        ${this.renderBars(timeRows, Math.max(time.estimated, time.trackedOnEstimated))}
+                    </div>
+                ` : ''}
+                <div class="dashboard-chart">
+                    <h4>Completed per day (last ${stats.completedPerDay.length} days)</h4>
+                    ${this.renderColumns(stats.completedPerDay.map(day => ({
+                        label: new Date(day.start).toLocaleDateString('en-US', dayFormat),
+                        count: day.count
+                    })))}
+                </div>
+                <div class="dashboard-chart">
+                    <h4>Completed per week</h4>
+                    ${this.renderColumns(stats.completedPerWeek.map(week => ({
+                        label: new Date(week.start).toLocaleDateString('en-US', dayFormat),
+                        count: week.count
+                    })))}
+                </div>
+                <div class="dashboard-chart wide">
+                    <h4>Completion rate over time (by week)</h4>
+                    ${this.renderLine(stats.completionRateByWeek.map(week => ({
+                        label: new Date(week.start).toLocaleDateString('en-US', dayFormat),
+                        value: week.rate
+                    })))}
+                </div>
+            </div>
+        `;
+    }
+    
+    renderCard(label, value, className = '') {
+        return `
+            <div class="dashboard-card ${className}">
+                <span class="dashboard-card-value">${value}</span>
+                <span class="dashboard-card-label">${label}</span>
+            </div>
+        `;
+    }
+    
+    /**
+     * Horizontal bars, as a share of the total
+     * @param {Array} rows - [{ label, count, color, display? }] (display: value text instead of the count)
+     */
+    renderBars(rows, total) {
+        return `
+            <div class="chart-bars">
+                ${rows.map(row => `
+                    <div class="chart-bar-row">
+                        <span class="chart-bar-label">${this.uiManager.escapeHtml(row.label)}</span>
+                        <span class="chart-bar-track">
+                            <span class="chart-bar" style="width: ${total === 0 ? 0 : (row.count / total) * 100}%; background: ${row.color}"></span>
+                        </span>
+                        <span class="chart-bar-value">${row.display !== undefined ? row.display : row.count}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+    
+    /**
+     * Vertical columns scaled to the highest count
+     * @param {Array} points - [{ label, count }]
+     */
+    renderColumns(points) {
+        const max = Math.max(1, ...points.map(point => point.count));
+        return `
+            <div class="chart-columns">
+                ${points.map(point => `
+                    <div class="chart-column" title="${point.label}: ${point.count}">
+                        <span class="chart-column-value">${point.count || ''}</span>
+                        <span class="chart-column-bar" style="height: ${(point.count / max) * 100}%"></span>
+                        <span class="chart-column-label">${point.label}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+    
+    /**
+     * Percentage line chart (0–100%) as SVG
+     * @param {Array} points - [{ label, value }]
+     */
+    renderLine(points) {
+        const width = 600;
+        const height = 160;
+        const padding = 24;
+        const x = index => padding + (index * (width - 2 * padding)) / Math.max(1, points.length - 1);
+        const y = value => height - padding - (value / 100) * (height - 2 * padding);
+        const path = points.map((point, index) => `${x(index)},${y(point.value)}`).join(' ');
+        
+        return `
+            <svg class="chart-line" viewBox="0 0 ${width} ${height}" role="img" aria-label="Completion rate by week">
+                ${[0, 50, 100].map(value => `
+                    <line class="chart-grid" x1="${padding}" x2="${width - padding}" y1="${y(value)}" y2="${y(value)}"></line>
+                    <text class="chart-axis" x="0" y="${y(value) + 4}">${value}%</text>
+                `).join('')}
+                <polyline points="${path}" fill="none" stroke="${DashboardView.BAR_COLOR}" stroke-width="3"></polyline>
+                ${points.map((point, index) => `
+                    <circle cx="${x(index)}" cy="${y(point.value)}" r="4" fill="${DashboardView.BAR_COLOR}">
+                        <title>${point.label}: ${point.value}%</title>
+                    </circle>
+                    <text class="chart-axis" x="${x(index)}" y="${height - 4}" text-anchor="middle">${point.label}</text>
+                `).join('')}
+            </svg>
+        `;
+    }
+}
@@ -0,0 +1,89 @@
+/**
+ * TaskDependencies - "Blocked by" relations between tasks
+ * A task lists the ids of the tasks it waits for in task.blockedBy.
+ * It is blocked while any of them is not completed; ids of tasks that
+ * no longer exist are ignored. Cycles are refused when the relation is set.
+ */
+class TaskDependencies {
+    /**
+     * Blockers of a task that are not completed yet
+     * @param {Task} task
+     * @param {Array} allTasks - Every task (blockers may be filtered out of the view)
+     * @returns {Array} Open blocker tasks
+     */
+    static getOpenBlockers(task, allTasks) {
+        const blockedBy = task.blockedBy || [];
+        if (blockedBy.length === 0) {
+            return [];
+        }
+        return allTasks.filter(other => blockedBy.includes(other.id) && !Workflow.isCompleted(other));
+    }
+    
+    static isBlocked(task, allTasks) {
+        return this.getOpenBlockers(task, allTasks).length > 0;
+    }
+    
+    /**
+     * Find the cycle that "taskId is blocked by blockerIds" would create
+     * @param {Array} allTasks
+     * @param {string} taskId
+     * @param {Array} blockerIds
+     * @returns {Array|null} Task ids around the cycle (starting and ending with taskId), or null
+     */
+    static findCycle(allTasks, taskId, blockerIds) {
+        const byId = new Map(allTasks.map(task => [task.id, task]));
+        const visited = new Set();
+        
+        // Depth-first walk along the blockers, looking for a way back to taskId
+        const walk = (id, path) => {
+            if (id === taskId) {
+                return [...path, id];
+            }
+            if (visited.has(id) || !byId.has(id)) {
+                return null;
+            }
+            visited.add(id);
+            for (const next of byId.get(id).blockedBy || []) {
+                const cycle = walk(next, [...path, id]);
+                if (cycle) return cycle;
+            }
+            return null;
+        };
+        
+        for (const blockerId of blockerIds) {
+            const cycle = walk(blockerId, [taskId]);
+            if (cycle) return cycle;
+        }
+        return null;
+    }
+    
+    /**
+     * Order tasks so that every task comes after the tasks blocking it
+     * Only relations between the given tasks count. Among the tasks that
+     * can go next, the one earliest in the input order is taken, so the
+     * input sort is kept wherever dependencies allow. Tasks in a cycle
+     * (only possible with imported data) go last, in input order.
+     * @param {Array} tasks - Tasks in tie-break order
+     * @returns {Array} New array
+     */
+    static topologicalSort(tasks) {
+        const ids = new Set(tasks.map(task => task.id));
+        const remaining = new Map(tasks.map(task => [
+            task.id,
+            new Set((task.blockedBy || []).filter(id => ids.has(id) && id !== task.id))
+        ]));
+        const ordered = [];
+        
+        while (ordered.length < tasks.length) {
+            const next = tasks.find(task => remaining.has(task.id) && remaining.get(task.id).size === 0);
+            if (!next) {
+                break;
+            }
+            ordered.push(next);
+            remaining.delete(next.id);
+            remaining.forEach(blockers => blockers.delete(next.id));
+        }
+        
+        return [...ordered, ...tasks.filter(task => remaining.has(task.id))];
+    }
+}
@@ -0,0 +1,732 @@
+/**
+ * Task file formats - Export and import of tasks (JSON, CSV, iCalendar)
+ * Every format exposes the same static interface:
+ *   serialize(tasks) → string
+ *   parse(text) → { tasks: [plain task objects], errors: [{ row, message }] }
+ * Parsed tasks are validated by TaskValidator and later turned into
+ * Task instances by TaskFactory.fromObject
+ */
+
+/**
+ * TaskValidator - Checks imported task data before it reaches TaskFactory
+ */
+class TaskValidator {
+    // Ids end up in HTML attributes and CSS selectors: letters, digits, '_' and '-' only
+    static ID_PATTERN = /^[\w-]{1,100}$/;
+    
+    /**
+     * True for a usable task or checklist item id
+     */
+    static isValidId(id) {
+        return typeof id === 'string' && this.ID_PATTERN.test(id);
+    }
+    
+    /**
+     * @param {Object} data - Plain task object
+     * @returns {Array} Error messages (empty when valid)
+     */
+    static validate(data) {
+        const errors = [];
+        
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return ['Not a task object'];
+        }
+        if (data.id !== undefined && data.id !== null && !this.isValidId(data.id)) {
+            errors.push(`Invalid id ${JSON.stringify(data.id)} (letters, digits, _ and - only)`);
+        }
+        if (typeof data.title !== 'string' || !data.title.trim()) {
+            errors.push('Missing title');
+        }
+        if (!data.deadline || isNaN(new Date(data.deadline))) {
+            errors.push(`Invalid deadline "${data.deadline || ''}"`);
+        }
+        if (!Task.PRIORITIES.includes(data.priority)) {
+            errors.push(`Invalid priority "${data.priority || ''}" (expected High, Medium or Low)`);
+        }
+        if (data.status !== undefined && data.status !== null && typeof data.status !== 'string') {
+            errors.push('Invalid status');
+        }
+        if (data.createdAt && isNaN(new Date(data.createdAt))) {
+            errors.push(`Invalid creation date "${data.createdAt}"`);
+        }
+        if (data.checklist !== undefined && data.checklist !== null && !Array.isArray(data.checklist)) {
+            errors.push('Checklist must be a list');
+        } else if (Array.isArray(data.checklist) && data.checklist.some(item =>
+            !item || typeof item !== 'object' || (item.id !== undefined && item.id !== null && !this.isValidId(item.id)))) {
+            errors.push('Invalid checklist item (expected objects; ids: letters, digits, _ and - only)');
+        }
+        if (data.estimate !== undefined && data.estimate !== null && data.estimate !== '' &&
+            !(Number(data.estimate) >= 0)) {
+            errors.push(`Invalid estimate "${data.estimate}" (expected minutes)`);
+        }
+        if (data.timeLogs !== undefined && data.timeLogs !== null && !Array.isArray(data.timeLogs)) {
+            errors.push('Time logs must be a list');
+        }
+        
+        return errors;
+    }
+    
+    /**
+     * Validate a list of parsed rows
+     * @param {Array} rows - [{ row, data }]
+     * @returns {Object} { tasks, errors }
+     */
+    static validateRows(rows) {
+        const tasks = [];
+        const errors = [];
+        
+        rows.forEach(({ row, data }) => {
+            const rowErrors = this.validate(data);
+            if (rowErrors.length > 0) {
+                errors.push({ row, message: rowErrors.join('; ') });
+            } else {
+                tasks.push(data);
+            }
+        });
+        
+        return { tasks, errors };
+    }
+}
+
+/**
+ * JSON format - the complete task objects
+ */
+class JsonFormat {
+    static EXTENSION = 'json';
+    static MIME_TYPE = 'application/json;charset=utf-8';
+    
+    static serialize(tasks) {
+        return JSON.stringify({
+            app: 'smart-task-organizer',
+            version: TaskSchema.CURRENT_VERSION,
+            exportedAt: new Date().toISOString(),
+            tasks
+        }, null, 2);
+    }
+    
+    /**
+     * Accepts an exported file ({ version, tasks: [...] }) or a bare array
+     * Files from older schema versions are migrated first
+     */
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return { tasks: [], errors: [{ row: 0, message: `Invalid JSON: ${error.message}` }] };
+        }
+        
+        const payload = Array.isArray(data) ? { version: 1, tasks: data } : data;
+        if (!payload || !Array.isArray(payload.tasks)) {
+            return { tasks: [], errors: [{ row: 0, message: 'No task list found in file' }] };
+        }
+        
+        let list;
+        try {
+            list = TaskSchema.migrate(payload).tasks;
+        } catch (error) {
+            return { tasks: [], errors: [{ row: 0, message: error.message }] };
+        }
+        
+        return TaskValidator.validateRows(list.map((item, index) => ({ row: index + 1, data: item })));
+    }
+}
+
+/**
+ * CSV format - one task per row
+ * Text columns are written as-is; lists and objects (tags, checklist,
+ * recurrence...) are JSON-encoded so the export stays lossless
+ */
+class CsvFormat {
+    static EXTENSION = 'csv';
+    static MIME_TYPE = 'text/csv;charset=utf-8';
+    // Text columns, always written first and never JSON-encoded
+    static COLUMNS = ['id', 'title', 'description', 'deadline', 'priority', 'status', 'createdAt'];
+    
+    static serialize(tasks) {
+        // Known columns first, then any other field found on the tasks
+        const columns = [...this.COLUMNS];
+        tasks.forEach(task => {
+            Object.keys(task).forEach(key => {
+                if (!columns.includes(key)) {
+                    columns.push(key);
+                }
+            });
+        });
+        
+        const lines = [columns.map(column => this.escapeCell(column)).join(',')];
+        tasks.forEach(task => {
+            lines.push(columns.map(column => this.escapeCell(this.toCell(task[column], column))).join(','));
+        });
+        
+        return lines.join('\r\n');
+    }
+    
+    static toCell(value, column) {
+        if (value === undefined || value === null) {
+            return '';
+        }
+        if (this.COLUMNS.includes(column) && typeof value === 'string') {
+            return value;
+        }
+        return JSON.stringify(value);
+    }
+    
+    static escapeCell(value) {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+    
+    static parse(text) {
+        const rows = this.parseRows(text.replace(/^\uFEFF/, ''));
+        if (rows.length === 0) {
+            return { tasks: [], errors: [{ row: 0, message: 'Empty file' }] };
+        }
+        
+        const header = rows[0].map(cell => cell.trim());
+        if (!header.includes('title')) {
+            return { tasks: [], errors: [{ row: 1, message: 'Missing "title" column in header' }] };
+        }
+        
+        const parsed = [];
+        rows.slice(1).forEach((cells, index) => {
+            // Skip blank lines
+            if (cells.length === 1 && cells[0].trim() === '') return;
+            
+            const data = {};
+            header.forEach((column, columnIndex) => {
+                const value = this.fromCell(cells[columnIndex], column);
+                if (value !== undefined) {
+                    data[column] = value;
+                }
+            });
+            parsed.push({ row: index + 2, data });
+        });
+        
+        return TaskValidator.validateRows(parsed);
+    }
+    
+    static fromCell(cell, column) {
+        if (cell === undefined || cell === '') {
+            return undefined;
+        }
+        if (this.COLUMNS.includes(column)) {
+            return cell;
+        }
+        try {
+            return JSON.parse(cell);
+        } catch (error) {
+            // Hand-written cells such as tags "a, b" stay plain text
+            return cell;
+        }
+    }
+    
+    /**
+     * RFC 4180 parser (quoted cells, escaped quotes, line breaks inside quotes)
+     * @returns {Array} Rows of cells
+     */
+    static parseRows(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        
+        return rows;
+    }
+}
+
+/**
+ * iCalendar format (RFC 5545) - one VTODO per task
+ * The task id is used as UID so importing the same file again updates
+ * the tasks instead of duplicating them; UIDs from other apps are mapped
+ * to safe task ids (see toTaskId). VEVENT entries are imported too
+ * (their start time becomes the deadline)
+ */
+class IcsFormat {
+    static EXTENSION = 'ics';
+    static MIME_TYPE = 'text/calendar;charset=utf-8';
+    static PRODUCT_ID = '-//Smart Task Organizer//Tasks//EN';
+    // iCalendar priority: 1 = highest, 9 = lowest, 0 = undefined
+    static PRIORITY_VALUES = { 'High': 1, 'Medium': 5, 'Low': 9 };
+    static WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+    // Keeps the exact workflow status, which STATUS cannot express
+    static STATUS_PROPERTY = 'X-SMART-TASK-STATUS';
+    
+    // ============================================
+    // EXPORT
+    // ============================================
+    
+    static serialize(tasks) {
+        const stamp = this.formatUtc(new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${this.PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN'
+        ];
+        
+        tasks.forEach(task => {
+            const due = this.formatLocal(new Date(task.deadline));
+            lines.push('BEGIN:VTODO');
+            lines.push(`UID:${this.escapeText(task.id)}`);
+            lines.push(`DTSTAMP:${stamp}`);
+            if (task.createdAt && !isNaN(new Date(task.createdAt))) {
+                lines.push(`CREATED:${this.formatUtc(new Date(task.createdAt))}`);
+            }
+            lines.push(`SUMMARY:${this.escapeText(task.title)}`);
+            if (task.description) {
+                lines.push(`DESCRIPTION:${this.escapeText(task.description)}`);
+            }
+            lines.push(`PRIORITY:${this.PRIORITY_VALUES[task.priority] || 0}`);
+            lines.push(`STATUS:${this.toIcsStatus(task.status)}`);
+            lines.push(`${this.STATUS_PROPERTY}:${this.escapeText(task.status)}`);
+            if (task.tags && task.tags.length > 0) {
+                lines.push(`CATEGORIES:${task.tags.map(tag => this.escapeText(tag)).join(',')}`);
+            }
+            
+            const rrule = this.toRRule(task.recurrence);
+            if (rrule) {
+                // A repeating VTODO needs a start for the series
+                lines.push(`DTSTART:${due}`);
+            }
+            lines.push(`DUE:${due}`);
+            if (rrule) {
+                lines.push(`RRULE:${rrule}`);
+            }
+            lines.push('END:VTODO');
+        });
+        
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+    
+    /**
+     * Workflow status → VTODO STATUS
+     */
+    static toIcsStatus(status) {
+        const workflow = Workflow.getInstance();
+        if (workflow.isDone(status)) return 'COMPLETED';
+        if (status === workflow.getInitialStatus()) return 'NEEDS-ACTION';
+        return 'IN-PROCESS';
+    }
+    
+    /**
+     * Recurrence rule → RRULE value (null when the task does not repeat)
+     */
+    static toRRule(rule) {
+        if (!rule) {
+            return null;
+        }
+        
+        const parts = [];
+        switch (rule.frequency) {
+            case 'daily':
+                parts.push('FREQ=DAILY');
+                break;
+            case 'interval':
+                parts.push('FREQ=DAILY', `INTERVAL=${rule.interval}`);
+                break;
+            case 'weekly':
+                parts.push('FREQ=WEEKLY');
+                if (rule.weekdays.length > 0) {
+                    parts.push(`BYDAY=${rule.weekdays.map(day => this.WEEKDAYS[day]).join(',')}`);
+                }
+                break;
+            case 'monthly':
+                parts.push('FREQ=MONTHLY', `BYMONTHDAY=${rule.dayOfMonth}`);
+                break;
+            default:
+                return null;
+        }
+        
+        if (rule.count) {
+            // COUNT includes this occurrence, our count includes the earlier ones too
+            parts.push(`COUNT=${Math.max(1, rule.count - rule.occurrence + 1)}`);
+        } else if (rule.endDate) {
+            parts.push(`UNTIL=${rule.endDate.slice(0, 10).replace(/-/g, '')}T235959`);
+        }
+        
+        return parts.join(';');
+    }
+    
+    /**
+     * Escape TEXT values (backslash, semicolon, comma, line breaks)
+     */
+    static escapeText(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r\n|\r|\n/g, '\\n');
+    }
+    
+    /**
+     * Fold lines longer than 75 octets (continuation lines start with a space)
+     */
+    static foldLine(line) {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        let chunk = '';
+        let size = 0;
+        
+        for (const char of line) {
+            const charSize = encoder.encode(char).length;
+            const limit = chunks.length === 0 ? 75 : 74;
+            if (size + charSize > limit) {
+                chunks.push(chunk);
+                chunk = '';
+                size = 0;
+            }
+            chunk += char;
+            size += charSize;
+        }
+        chunks.push(chunk);
+        
+        return chunks.join('\r\n ');
+    }
+    
+    /**
+     * Floating local date-time (YYYYMMDDTHHMMSS), same meaning as the deadline input
+     */
+    static formatLocal(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+            `T${pad(date.getHours())}${pad(date.getMinutes())}00`;
+    }
+    
+    static formatUtc(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+    
+    // ============================================
+    // IMPORT
+    // ============================================
+    
+    static parse(text) {
+        const lines = this.unfold(String(text).replace(/^\uFEFF/, ''));
+        if (!lines.some(line => /^BEGIN:VCALENDAR$/i.test(line))) {
+            return { tasks: [], errors: [{ row: 0, message: 'Not an iCalendar file (missing BEGIN:VCALENDAR)' }] };
+        }
+        
+        const entries = [];
+        const stack = [];
+        let current = null;
+        
+        lines.forEach(line => {
+            const property = this.parseProperty(line);
+            if (!property) return;
+            
+            if (property.name === 'BEGIN') {
+                const component = property.value.toUpperCase();
+                stack.push(component);
+                if ((component === 'VTODO' || component === 'VEVENT') && !current) {
+                    current = { type: component, properties: {} };
+                }
+            } else if (property.name === 'END') {
+                const component = stack.pop();
+                if (current && component === current.type) {
+                    entries.push(current);
+                    current = null;
+                }
+            } else if (current && stack[stack.length - 1] === current.type) {
+                // Properties of nested components (e.g. VALARM) are ignored
+                if (!current.properties[property.name]) {
+                    current.properties[property.name] = property;
+                }
+            }
+        });
+        
+        if (entries.length === 0) {
+            return { tasks: [], errors: [{ row: 0, message: 'No VTODO or VEVENT entries found' }] };
+        }
+        
+        const rows = [];
+        const errors = [];
+        entries.forEach((entry, index) => {
+            try {
+                rows.push({ row: index + 1, data: this.toTaskData(entry) });
+            } catch (error) {
+                errors.push({ row: index + 1, message: error.message });
+            }
+        });
+        
+        const result = TaskValidator.validateRows(rows);
+        return { tasks: result.tasks, errors: errors.concat(result.errors).sort((a, b) => a.row - b.row) };
+    }
+    
+    /**
+     * Join folded continuation lines
+     * @returns {Array} Logical lines
+     */
+    static unfold(text) {
+        return text
+            .replace(/\r\n[ \t]|\n[ \t]|\r[ \t]/g, '')
+            .split(/\r\n|\n|\r/)
+            .filter(line => line.trim() !== '');
+    }
+    
+    /**
+     * Split "NAME;PARAM=x:VALUE" (colons inside quoted parameters are kept)
+     * @returns {Object|null} { name, params, value }
+     */
+    static parseProperty(line) {
+        let inQuotes = false;
+        let colon = -1;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') inQuotes = !inQuotes;
+            if (line[i] === ':' && !inQuotes) {
+                colon = i;
+                break;
+            }
+        }
+        if (colon === -1) {
+            return null;
+        }
+        
+        const [name, ...paramParts] = line.slice(0, colon).split(';');
+        const params = {};
+        paramParts.forEach(part => {
+            const [key, ...rest] = part.split('=');
+            params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+        });
+        
+        return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+    }
+    
+    /**
+     * VTODO / VEVENT properties → plain task object
+     */
+    static toTaskData(entry) {
+        const props = entry.properties;
+        const text = name => props[name] ? this.unescapeText(props[name].value) : '';
+        
+        // VTODO: due date (start as fallback); VEVENT: start time
+        const dateProperty = entry.type === 'VTODO'
+            ? (props.DUE || props.DTSTART)
+            : (props.DTSTART || props.DTEND);
+        const deadline = dateProperty ? this.parseDate(dateProperty) : null;
+        if (!deadline) {
+            throw new Error(`${entry.type} "${text('SUMMARY')}" has no valid date`);
+        }
+        
+        const data = {
+            title: text('SUMMARY').trim(),
+            description: text('DESCRIPTION'),
+            deadline: RecurrenceRule.toInputValue(deadline),
+            priority: this.toPriority(props.PRIORITY ? props.PRIORITY.value : ''),
+            status: this.toWorkflowStatus(entry, text(this.STATUS_PROPERTY))
+        };
+        
+        if (props.UID && text('UID').trim()) {
+            data.id = this.toTaskId(text('UID').trim());
+        }
+        if (props.CREATED) {
+            const created = this.parseDate(props.CREATED);
+            if (created) data.createdAt = created.toISOString();
+        }
+        if (props.CATEGORIES) {
+            data.tags = props.CATEGORIES.value.split(/(?<!\\),/).map(tag => this.unescapeText(tag));
+        }
+        if (props.RRULE) {
+            const recurrence = this.fromRRule(props.RRULE.value, deadline);
+            if (recurrence) data.recurrence = recurrence;
+        }
+        
+        return data;
+    }
+    
+    /**
+     * Task id for a UID: ids of this app are kept as they are, any other UID
+     * (e.g. "040000008200E00074C5B7101A82E008@google.com") becomes "ics_" and
+     * a hash of it, so importing the same event again still finds its task
+     */
+    static toTaskId(uid) {
+        if (TaskValidator.isValidId(uid)) {
+            return uid;
+        }
+        
+        // Two 32-bit FNV-1a hashes with different offsets (64 bits)
+        const hash = offset => {
+            let value = offset;
+            for (let i = 0; i < uid.length; i++) {
+                value = Math.imul(value ^ uid.charCodeAt(i), 16777619) >>> 0;
+            }
+            return value.toString(16).padStart(8, '0');
+        };
+        return `ics_${hash(2166136261)}${hash(3339675911)}`;
+    }
+    
+    static unescapeText(value) {
+        return String(value).replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N') ? '\n' : char);
+    }
+    
+    /**
+     * DATE (all-day, due at the end of the day), UTC date-time or local date-time.
+     * TZID parameters are read as local time
+     * @returns {Date|null}
+     */
+    static parseDate(property) {
+        const match = property.value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/i);
+        if (!match) {
+            return null;
+        }
+        
+        const [, year, month, day, hours, minutes, seconds, utc] = match;
+        if (hours === undefined) {
+            return new Date(year, month - 1, day, 23, 59);
+        }
+        if (utc) {
+            return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds || 0));
+        }
+        return new Date(year, month - 1, day, hours, minutes, seconds || 0);
+    }
+    
+    /**
+     * iCalendar priority (1-9) → High / Medium / Low
+     */
+    static toPriority(value) {
+        const priority = parseInt(value, 10);
+        if (!priority) return 'Medium';
+        if (priority <= 4) return 'High';
+        if (priority === 5) return 'Medium';
+        return 'Low';
+    }
+    
+    /**
+     * Exact status written by this app, otherwise mapped from STATUS
+     */
+    static toWorkflowStatus(entry, savedStatus) {
+        const workflow = Workflow.getInstance();
+        if (savedStatus && workflow.hasStatus(savedStatus)) {
+            return savedStatus;
+        }
+        
+        const status = entry.properties.STATUS ? entry.properties.STATUS.value.toUpperCase() : '';
+        const statuses = workflow.getStatuses();
+        switch (status) {
+            case 'COMPLETED':
+                return workflow.getDoneStatus();
+            case 'IN-PROCESS':
+                // First status after the initial one that is not "done"
+                return statuses.length > 2 ? statuses[1] : workflow.getInitialStatus();
+            default:
+                return workflow.getInitialStatus();
+        }
+    }
+    
+    /**
+     * RRULE value → recurrence rule (null for rules the app cannot repeat)
+     */
+    static fromRRule(value, deadline) {
+        const parts = {};
+        value.split(';').forEach(part => {
+            const [key, partValue] = part.split('=');
+            parts[key.toUpperCase()] = (partValue || '').toUpperCase();
+        });
+        
+        const interval = parseInt(parts.INTERVAL, 10) || 1;
+        const rule = {};
+        switch (parts.FREQ) {
+            case 'DAILY':
+                rule.frequency = interval > 1 ? 'interval' : 'daily';
+                rule.interval = interval;
+                break;
+            case 'WEEKLY':
+                if (interval > 1 && !parts.BYDAY) {
+                    // "Every 2 weeks" on the same weekday
+                    rule.frequency = 'interval';
+                    rule.interval = interval * 7;
+                } else {
+                    rule.frequency = 'weekly';
+                    rule.weekdays = (parts.BYDAY || '').split(',')
+                        .map(day => this.WEEKDAYS.indexOf(day.slice(-2)))
+                        .filter(day => day !== -1);
+                }
+                break;
+            case 'MONTHLY':
+                rule.frequency = 'monthly';
+                rule.dayOfMonth = parseInt(parts.BYMONTHDAY, 10) || deadline.getDate();
+                break;
+            default:
+                return null;
+        }
+        
+        if (parts.COUNT) {
+            rule.count = parts.COUNT;
+        }
+        if (parts.UNTIL) {
+            const until = this.parseDate({ value: parts.UNTIL });
+            if (until) rule.endDate = RecurrenceRule.toInputValue(until).slice(0, 10);
+        }
+        
+        return RecurrenceRule.normalize(rule);
+    }
+}
+
+/**
+ * TaskFormats - Registry of file formats by name
+ */
+class TaskFormats {
+    static FORMATS = {
+        json: JsonFormat,
+        csv: CsvFormat,
+        ics: IcsFormat,
+        markdown: MarkdownReport,
+        html: HtmlReport
+    };
+    
+    static get(name) {
+        return this.FORMATS[name] || null;
+    }
+    
+    /**
+     * Reports (reports.js) export the visible tasks and cannot be imported
+     */
+    static isReport(name) {
+        const format = this.get(name);
+        return !!format && format.prototype instanceof TaskReport;
+    }
+    
+    /**
+     * Pick an importable format from a file name extension
+     */
+    static fromFileName(fileName) {
+        const extension = String(fileName).split('.').pop().toLowerCase();
+        return Object.values(this.FORMATS).find(format =>
+            format.EXTENSION === extension && typeof format.parse === 'function'
+        ) || null;
+    }
+}
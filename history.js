@@ -0,0 +1,238 @@
+/**
+ * History - Undo/Redo support for task changes
+ * Design Pattern: Command Pattern
+ * Reason: Every mutation is captured as a reversible command object,
+ * so it can be undone, redone and persisted between sessions
+ */
+
+/**
+ * TaskCommand - One recorded mutation of the task list
+ * Stores the before/after state of every task it touched
+ */
+class TaskCommand {
+    constructor(label, changes, timestamp = new Date().toISOString()) {
+        this.label = label;
+        this.changes = changes; // [{ id, before, after, beforeIndex, afterIndex }]
+        this.timestamp = timestamp;
+        this.workflow = null; // { before, after } status lists when the command changed the workflow
+    }
+
+    /**
+     * Build a command by comparing two snapshots of the task list
+     * @param {string} label - Human readable description ("Delete 'Report'")
+     * @param {Array} beforeTasks - Plain task objects before the mutation
+     * @param {Array} afterTasks - Plain task objects after the mutation
+     * @returns {TaskCommand} Command containing only the tasks that changed
+     */
+    static fromSnapshots(label, beforeTasks, afterTasks) {
+        const beforeMap = new Map(beforeTasks.map((task, index) => [task.id, { task, index }]));
+        const afterMap = new Map(afterTasks.map((task, index) => [task.id, { task, index }]));
+        const ids = new Set([...beforeMap.keys(), ...afterMap.keys()]);
+        const changes = [];
+
+        ids.forEach(id => {
+            const before = beforeMap.get(id);
+            const after = afterMap.get(id);
+
+            if (before && after && JSON.stringify(before.task) === JSON.stringify(after.task)) {
+                return;
+            }
+
+            changes.push({
+                id,
+                before: before ? before.task : null,
+                after: after ? after.task : null,
+                beforeIndex: before ? before.index : -1,
+                afterIndex: after ? after.index : -1
+            });
+        });
+
+        return new TaskCommand(label, changes);
+    }
+
+    /**
+     * Recreate a command from its stored form
+     */
+    static fromObject(data) {
+        const command = new TaskCommand(data.label, data.changes || [], data.timestamp);
+        command.workflow = data.workflow || null;
+        return command;
+    }
+
+    /**
+     * True when the mutation did not change anything
+     */
+    isEmpty() {
+        return this.changes.length === 0 && !this.workflow;
+    }
+
+    /**
+     * Revert the command on a task list
+     * @param {Array} tasks - Current tasks
+     * @returns {Array} Tasks with the "before" state restored
+     */
+    undo(tasks) {
+        return this.applyState(tasks, 'before', 'beforeIndex');
+    }
+
+    /**
+     * Re-apply the command on a task list
+     * @param {Array} tasks - Current tasks
+     * @returns {Array} Tasks with the "after" state restored
+     */
+    redo(tasks) {
+        return this.applyState(tasks, 'after', 'afterIndex');
+    }
+
+    /**
+     * Replace every touched task with the requested state,
+     * re-inserting tasks at their original position
+     */
+    applyState(tasks, stateKey, indexKey) {
+        const touchedIds = new Set(this.changes.map(change => change.id));
+        const result = tasks.filter(task => !touchedIds.has(task.id));
+
+        this.changes
+            .filter(change => change[stateKey])
+            .sort((a, b) => a[indexKey] - b[indexKey])
+            .forEach(change => {
+                const position = Math.min(change[indexKey], result.length);
+                result.splice(position, 0, TaskFactory.fromObject(change[stateKey]));
+            });
+
+        return result;
+    }
+}
+
+/**
+ * HistoryManager - Bounded undo/redo stacks of TaskCommands
+ * Persisted through the task StorageAdapter so history survives a reload
+ */
+class HistoryManager {
+    static MAX_SIZE = 50;
+    static MAX_STORED_CHARS = 20000000; // Sanity cap; a full storage trims the history further
+
+    constructor(maxSize = HistoryManager.MAX_SIZE) {
+        this.maxSize = maxSize;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.storage = null; // StorageAdapter, set by load()
+        this.saving = Promise.resolve(); // Writes run one after another
+        this.onSaveError = null; // Called with a message when nothing of the history can be stored
+    }
+
+    /**
+     * Record a new command (clears the redo stack)
+     */
+    record(command) {
+        this.undoStack.push(command);
+
+        // Keep the stack bounded
+        if (this.undoStack.length > this.maxSize) {
+            this.undoStack.splice(0, this.undoStack.length - this.maxSize);
+        }
+
+        this.redoStack = [];
+        this.save();
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Move the latest command to the redo stack
+     * @returns {TaskCommand|null} Command to revert
+     */
+    undo() {
+        if (!this.canUndo()) {
+            return null;
+        }
+        const command = this.undoStack.pop();
+        this.redoStack.push(command);
+        this.save();
+        return command;
+    }
+
+    /**
+     * Move the latest undone command back to the undo stack
+     * @returns {TaskCommand|null} Command to re-apply
+     */
+    redo() {
+        if (!this.canRedo()) {
+            return null;
+        }
+        const command = this.redoStack.pop();
+        this.undoStack.push(command);
+        this.save();
+        return command;
+    }
+
+    /**
+     * Forget all recorded commands
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.save();
+    }
+
+    /**
+     * Load stacks from storage
+     * @param {StorageAdapter} adapter - Opened storage backend, also used for saving
+     */
+    async load(adapter) {
+        this.storage = adapter;
+        const data = await StorageManager.loadHistory(adapter);
+        this.undoStack = (data.undo || []).map(command => TaskCommand.fromObject(command));
+        this.redoStack = (data.redo || []).map(command => TaskCommand.fromObject(command));
+    }
+
+    /**
+     * Persist stacks to storage (in the background, one write at a time)
+     * @returns {Promise<boolean>} Success status
+     */
+    save() {
+        this.saving = this.saving.then(() => this.write());
+        return this.saving;
+    }
+
+    /**
+     * Write the current stacks
+     * While they are over MAX_STORED_CHARS or the storage is full, the oldest
+     * commands are left out (they stay undoable until the page is reloaded)
+     * @returns {Promise<boolean>} Success status
+     */
+    async write() {
+        if (!this.storage) {
+            return false;
+        }
+        const history = { undo: [...this.undoStack], redo: [...this.redoStack] };
+        const total = history.undo.length + history.redo.length;
+
+        while (JSON.stringify(history).length > HistoryManager.MAX_STORED_CHARS ||
+            !(await StorageManager.saveHistory(this.storage, history))) {
+            if (history.undo.length > 0) {
+                history.undo.shift();
+            } else if (history.redo.length > 0) {
+                history.redo.shift();
+            } else {
+                console.error('❌ Undo history does not fit in storage');
+                if (this.onSaveError) {
+                    this.onSaveError('Undo history could not be saved: storage is full');
+                }
+                return false;
+            }
+        }
+
+        const stored = history.undo.length + history.redo.length;
+        if (stored < total) {
+            console.warn(`⚠️ Undo history too large, stored the latest ${stored} of ${total} steps`);
+        }
+        return true;
+    }
+}
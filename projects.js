@@ -0,0 +1,207 @@
+/**
+ * ProjectManager - Named projects that own tasks (task.projectId)
+ * Projects are { id, name, color, archived, createdAt } and are persisted
+ * through StorageManager together with the project selected in the header.
+ * The built-in Inbox holds tasks without a project and cannot be archived;
+ * tasks pointing at an unknown project (e.g. imported ones) count as Inbox.
+ */
+class ProjectManager {
+    static DEFAULT_ID = 'inbox';
+    static ALL = 'all'; // "All projects": the tasks of every active project
+    static COLORS = ['#667eea', '#38a169', '#dd6b20', '#e53e3e', '#3182ce', '#805ad5', '#d69e2e', '#319795'];
+    
+    constructor() {
+        const saved = StorageManager.loadProjects();
+        this.projects = ProjectManager.withInbox(saved.projects);
+        this.activeId = this.isSelectable(saved.activeId) ? saved.activeId : ProjectManager.ALL;
+    }
+    
+    /**
+     * Make sure the Inbox exists (first start, or data saved before projects)
+     */
+    static withInbox(projects) {
+        const list = Array.isArray(projects) ? projects : [];
+        if (list.some(project => project.id === this.DEFAULT_ID)) {
+            return list;
+        }
+        return [{
+            id: this.DEFAULT_ID,
+            name: 'Inbox',
+            color: this.COLORS[0],
+            archived: false,
+            createdAt: new Date().toISOString()
+        }, ...list];
+    }
+    
+    /**
+     * All projects, Inbox first, in creation order
+     */
+    getAll() {
+        return [...this.projects];
+    }
+    
+    /**
+     * Projects that are not archived (offered for new and moved tasks)
+     */
+    getActive() {
+        return this.projects.filter(project => !project.archived);
+    }
+    
+    getById(id) {
+        return this.projects.find(project => project.id === id);
+    }
+    
+    /**
+     * The project a task belongs to (Inbox for missing or unknown ids)
+     * @param {string} projectId - task.projectId
+     */
+    resolve(projectId) {
+        return this.getById(projectId) || this.getById(ProjectManager.DEFAULT_ID);
+    }
+    
+    /**
+     * Project for new tasks: the selected one, or the Inbox when
+     * "All projects" or an archived project is shown
+     */
+    getDefaultId() {
+        const project = this.getById(this.activeId);
+        return project && !project.archived ? project.id : ProjectManager.DEFAULT_ID;
+    }
+    
+    /**
+     * Active project by name, ignoring case, spaces, '-' and '_'
+     * ("@client-work" finds "Client Work")
+     */
+    findByName(name) {
+        const key = value => (value || '').toLowerCase().replace(/[\s_-]+/g, '');
+        return this.getActive().find(project => key(project.name) === key(name));
+    }
+    
+    isSelectable(id) {
+        return id === ProjectManager.ALL || !!this.getById(id);
+    }
+    
+    /**
+     * Tasks of a project, or of every active project for ALL
+     * @param {Array} tasks
+     * @param {string} [projectId] - Default: the selected project
+     */
+    filterTasks(tasks, projectId = this.activeId) {
+        if (projectId === ProjectManager.ALL) {
+            return tasks.filter(task => !this.resolve(task.projectId).archived);
+        }
+        return tasks.filter(task => this.resolve(task.projectId).id === projectId);
+    }
+    
+    /**
+     * Select the project shown (ALL for every project)
+     */
+    setActive(id) {
+        this.reload();
+        if (!this.isSelectable(id)) {
+            throw new Error('Project not found');
+        }
+        this.activeId = id;
+        this.persist();
+    }
+    
+    /**
+     * Create a project
+     * @param {string} name - Unique display name
+     * @param {string} [color] - '#rrggbb' (default: next color of COLORS)
+     * @returns {Object} The project
+     */
+    create(name, color = null) {
+        this.reload();
+        const project = {
+            id: `project_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name: this.validateName(name),
+            color: color ? this.validateColor(color) : ProjectManager.COLORS[this.projects.length % ProjectManager.COLORS.length],
+            archived: false,
+            createdAt: new Date().toISOString()
+        };
+        
+        this.projects.push(project);
+        this.persist();
+        
+        console.log('✅ Project created:', project.name);
+        return project;
+    }
+    
+    rename(id, name) {
+        this.reload();
+        const project = this.require(id);
+        project.name = this.validateName(name, id);
+        this.persist();
+        return project;
+    }
+    
+    setColor(id, color) {
+        this.reload();
+        const project = this.require(id);
+        project.color = this.validateColor(color);
+        this.persist();
+        return project;
+    }
+    
+    /**
+     * Archive a project (its tasks leave "All projects") or bring it back
+     */
+    setArchived(id, archived) {
+        this.reload();
+        const project = this.require(id);
+        if (id === ProjectManager.DEFAULT_ID && archived) {
+            throw new Error('The Inbox cannot be archived');
+        }
+        
+        project.archived = !!archived;
+        if (project.archived && this.activeId === id) {
+            this.activeId = ProjectManager.ALL;
+        }
+        this.persist();
+        
+        console.log(`✅ Project ${project.archived ? 'archived' : 'restored'}:`, project.name);
+        return project;
+    }
+    
+    /**
+     * Find a project or throw
+     */
+    require(id) {
+        const project = this.getById(id);
+        if (!project) {
+            throw new Error('Project not found');
+        }
+        return project;
+    }
+    
+    validateName(name, id = null) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            throw new Error('Project name is required');
+        }
+        if (this.projects.some(project => project.id !== id && project.name.toLowerCase() === trimmed.toLowerCase())) {
+            throw new Error(`A project named "${trimmed}" already exists`);
+        }
+        return trimmed;
+    }
+    
+    validateColor(color) {
+        if (!/^#[0-9a-f]{6}$/i.test(color)) {
+            throw new Error('Project color must look like #667eea');
+        }
+        return color.toLowerCase();
+    }
+    
+    /**
+     * Re-read the stored projects before a change, so changes made in
+     * another tab meanwhile are not overwritten (the selection stays per tab)
+     */
+    reload() {
+        this.projects = ProjectManager.withInbox(StorageManager.loadProjects().projects);
+    }
+    
+    persist() {
+        StorageManager.saveProjects({ activeId: this.activeId, projects: this.projects });
+    }
+}
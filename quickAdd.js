@@ -0,0 +1,270 @@
+/**
+ * QuickAddParser - Turns one line of text into task fields
+ * "Send invoice to ACME tomorrow 3pm !high #billing @work" →
+ *   title "Send invoice to ACME", deadline tomorrow 15:00, priority High,
+ *   tags ['billing'], project "work"
+ *
+ * Recognized (case-insensitive, anywhere in the text):
+ *   Priority  !high !medium !low (or !h !m !l)
+ *   Tags      #billing
+ *   Project   @work (name as typed; matched by the caller)
+ *   Date      today, tonight, tomorrow, day after tomorrow, friday / this friday /
+ *             next friday (the coming one), in 3 days / in 2 weeks / in a month /
+ *             in 2 hours, next week (Monday) / next month (1st) / next year,
+ *             end of week (Friday) / end of month / end of year,
+ *             2026-11-05, Nov 5, 5 Nov, November 5th 2027
+ *   Time      3pm, 3:30 pm, 15:00, at 9, noon
+ * A date without a time is due at DEFAULT_HOUR; a time without a date is due
+ * today, or tomorrow when that time has passed.
+ *
+ * Pure: no DOM and no other classes, so it can be tested on its own.
+ */
+class QuickAddParser {
+    static DEFAULT_HOUR = 12;
+    static TONIGHT_HOUR = 20;
+    
+    static PRIORITIES = { high: 'High', h: 'High', medium: 'Medium', med: 'Medium', m: 'Medium', low: 'Low', l: 'Low' };
+    static WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+    static MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    static UNITS = { minute: 'minutes', min: 'minutes', hour: 'hours', day: 'days', week: 'weeks', month: 'months', year: 'years' };
+    
+    // Optional words before a date or time, removed from the title with it
+    static DATE_PREFIX = '(?:(?:on|by|due|before)\\s+)?';
+    static MONTH_NAME = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+    
+    /**
+     * Parse a quick-add line
+     * @param {string} text - What the user typed
+     * @param {Date} [now] - Reference time for relative dates
+     * @returns {Object} { title, deadline: Date|null, priority: string|null, tags: [], project: string|null,
+     *                     tokens: [{ type: 'date' | 'time' | 'priority' | 'tag' | 'project', text }] }
+     */
+    static parse(text, now = new Date()) {
+        const result = { title: '', deadline: null, priority: null, tags: [], project: null, tokens: [] };
+        let rest = ` ${text || ''} `;
+        
+        // Remove a recognized part from the title and remember it
+        const take = (type, pattern, handle) => {
+            rest = rest.replace(pattern, (...args) => {
+                result.tokens.push({ type, text: args[0].trim() });
+                handle(args);
+                return ' ';
+            });
+        };
+        
+        take('priority', /\s!(high|medium|med|low|h|m|l)(?=[\s,;.!?])/gi, ([, level]) => {
+            result.priority = this.PRIORITIES[level.toLowerCase()];
+        });
+        take('tag', /\s#([\w-]+)(?=[\s,;.!?])/g, ([, tag]) => {
+            if (!result.tags.includes(tag.toLowerCase())) {
+                result.tags.push(tag.toLowerCase());
+            }
+        });
+        take('project', /\s@([\w-]+)(?=[\s,;.!?])/g, ([, project]) => {
+            result.project = project;
+        });
+        
+        // First matching date phrase wins, then the first time
+        let date = null;
+        let defaultHour = this.DEFAULT_HOUR;
+        let exactTime = false;
+        for (const rule of this.getDateRules()) {
+            const match = rest.match(rule.pattern);
+            if (!match) continue;
+            
+            const found = rule.resolve(match, now);
+            if (!found) continue;
+            
+            date = found.date;
+            defaultHour = found.hour !== undefined ? found.hour : defaultHour;
+            exactTime = !!found.exactTime;
+            rest = rest.replace(match[0], ' ');
+            result.tokens.push({ type: 'date', text: match[0].trim() });
+            break;
+        }
+        
+        let time = null;
+        if (!exactTime) {
+            for (const rule of this.getTimeRules()) {
+                const match = rest.match(rule.pattern);
+                if (!match) continue;
+                
+                time = rule.resolve(match);
+                if (!time) continue;
+                
+                rest = rest.replace(match[0], ' ');
+                result.tokens.push({ type: 'time', text: match[0].trim() });
+                break;
+            }
+        }
+        
+        if (date && exactTime) {
+            result.deadline = date;
+        } else if (date) {
+            date.setHours(time ? time.hours : defaultHour, time ? time.minutes : 0, 0, 0);
+            result.deadline = date;
+        } else if (time) {
+            const deadline = new Date(now);
+            deadline.setHours(time.hours, time.minutes, 0, 0);
+            if (deadline <= now) {
+                deadline.setDate(deadline.getDate() + 1);
+            }
+            result.deadline = deadline;
+        }
+        
+        result.title = rest
+            .replace(/\s+/g, ' ')
+            .replace(/ ([,;.!?])/g, '$1')
+            .trim()
+            .replace(/^[,;:\-–]+\s*|\s*[,;:\-–]+$/g, '');
+        return result;
+    }
+    
+    /**
+     * Date phrases, most specific first
+     * resolve(match, now) returns { date, hour?, exactTime? } or null when the match is not a valid date
+     */
+    static getDateRules() {
+        const startOfDay = now => new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const addDays = (now, days) => new Date(now.getFullYear(), now.getMonth(), now.getDate() + days);
+        const monthIndex = name => this.MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+        
+        // Month/day without a year: the next time that day comes
+        const upcoming = (now, month, day, year) => {
+            const date = new Date(year ? Number(year) : now.getFullYear(), month, Number(day));
+            if (date.getMonth() !== month) return null; // e.g. Feb 31
+            if (!year && date < startOfDay(now)) {
+                date.setFullYear(date.getFullYear() + 1);
+            }
+            return { date };
+        };
+        const prefix = this.DATE_PREFIX;
+        
+        return [
+            {
+                pattern: new RegExp(`\\s${prefix}(\\d{4})-(\\d{2})-(\\d{2})(?=[\\s,;.!?])`, 'i'),
+                resolve: ([, year, month, day]) => upcoming(null, Number(month) - 1, day, year)
+            },
+            {
+                pattern: new RegExp(`\\s${prefix}${this.MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?(?=[\\s,;.!?])`, 'i'),
+                resolve: ([, month, day, year], now) => upcoming(now, monthIndex(month), day, year)
+            },
+            {
+                pattern: new RegExp(`\\s${prefix}(\\d{1,2})(?:st|nd|rd|th)?\\s+${this.MONTH_NAME}(?:\\s+(\\d{4}))?(?=[\\s,;.!?])`, 'i'),
+                resolve: ([, day, month, year], now) => upcoming(now, monthIndex(month), day, year)
+            },
+            {
+                pattern: /\s(?:the\s+)?day\s+after\s+tomorrow(?=[\s,;.!?])/i,
+                resolve: (match, now) => ({ date: addDays(now, 2) })
+            },
+            {
+                pattern: /\s(?:by\s+|due\s+)?(today|tonight)(?=[\s,;.!?])/i,
+                resolve: ([, word], now) => ({
+                    date: startOfDay(now),
+                    hour: word.toLowerCase() === 'tonight' ? this.TONIGHT_HOUR : undefined
+                })
+            },
+            {
+                pattern: /\s(?:by\s+|due\s+)?(?:tomorrow|tmrw?)(?=[\s,;.!?])/i,
+                resolve: (match, now) => ({ date: addDays(now, 1) })
+            },
+            {
+                pattern: /\sin\s+(a|an|one|\d+)\s+(minute|min|hour|day|week|month|year)s?(?=[\s,;.!?])/i,
+                resolve: ([, amount, unit], now) => {
+                    const count = /^\d+$/.test(amount) ? Number(amount) : 1;
+                    switch (this.UNITS[unit.toLowerCase()]) {
+                        case 'minutes':
+                            return { date: new Date(now.getTime() + count * 60000), exactTime: true };
+                        case 'hours':
+                            return { date: new Date(now.getTime() + count * 3600000), exactTime: true };
+                        case 'days':
+                            return { date: addDays(now, count) };
+                        case 'weeks':
+                            return { date: addDays(now, count * 7) };
+                        case 'months':
+                            return { date: this.addMonths(startOfDay(now), count) };
+                        default:
+                            return { date: this.addMonths(startOfDay(now), count * 12) };
+                    }
+                }
+            },
+            {
+                pattern: /\snext\s+(week|month|year)(?=[\s,;.!?])/i,
+                resolve: ([, unit], now) => {
+                    switch (unit.toLowerCase()) {
+                        case 'week':
+                            return { date: addDays(now, ((8 - now.getDay()) % 7) || 7) }; // Monday
+                        case 'month':
+                            return { date: new Date(now.getFullYear(), now.getMonth() + 1, 1) };
+                        default:
+                            return { date: new Date(now.getFullYear() + 1, 0, 1) };
+                    }
+                }
+            },
+            {
+                pattern: /\s(?:(?:by|at)\s+)?(?:the\s+)?(?:end\s+of\s+(?:the\s+)?(week|month|year)|eo(w|m|y))(?=[\s,;.!?])/i,
+                resolve: ([, unit, short], now) => {
+                    switch ((unit || short).toLowerCase()[0]) {
+                        case 'w': // Friday, or the next one after Friday
+                            return { date: addDays(now, (5 - now.getDay() + 7) % 7) };
+                        case 'm':
+                            return { date: new Date(now.getFullYear(), now.getMonth() + 1, 0) };
+                        default:
+                            return { date: new Date(now.getFullYear(), 11, 31) };
+                    }
+                }
+            },
+            {
+                pattern: new RegExp(`\\s${prefix}(?:(?:this|next)\\s+)?(${this.WEEKDAYS.join('|')})(?=[\\s,;.!?])`, 'i'),
+                resolve: ([, weekday], now) => {
+                    // The coming one, 1 to 7 days ahead
+                    const target = this.WEEKDAYS.indexOf(weekday.toLowerCase());
+                    return { date: addDays(now, ((target - now.getDay() + 6) % 7) + 1) };
+                }
+            }
+        ];
+    }
+    
+    /**
+     * Time phrases; resolve(match) returns { hours, minutes } or null when out of range
+     */
+    static getTimeRules() {
+        const valid = (hours, minutes) => (hours >= 0 && hours < 24 && minutes >= 0 && minutes < 60)
+            ? { hours, minutes }
+            : null;
+        
+        return [
+            {
+                pattern: /\s(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)(?=[\s,;.!?])/i,
+                resolve: ([, hour, minutes, meridiem]) => {
+                    const hours = Number(hour);
+                    if (hours < 1 || hours > 12) return null;
+                    return valid((hours % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0), Number(minutes || 0));
+                }
+            },
+            {
+                pattern: /\s(?:at\s+)?(\d{1,2}):(\d{2})(?=[\s,;.!?])/,
+                resolve: ([, hours, minutes]) => valid(Number(hours), Number(minutes))
+            },
+            {
+                pattern: /\s(?:at\s+)?noon(?=[\s,;.!?])/i,
+                resolve: () => valid(12, 0)
+            },
+            {
+                pattern: /\sat\s+(\d{1,2})(?=[\s,;.!?])/i,
+                resolve: ([, hours]) => valid(Number(hours), 0)
+            }
+        ];
+    }
+    
+    /**
+     * Add months, keeping the day where possible (Jan 31 + 1 month → Feb 28/29)
+     */
+    static addMonths(date, months) {
+        const day = date.getDate();
+        const result = new Date(date.getFullYear(), date.getMonth() + months, 1);
+        const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+        result.setDate(Math.min(day, lastDay));
+        return result;
+    }
+}
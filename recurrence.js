@@ -0,0 +1,165 @@
+/**
+ * RecurrenceRule - Helpers for repeating tasks
+ * A rule is stored on the task as a plain object so it survives
+ * JSON storage unchanged:
+ *   {
+ *     frequency: 'daily' | 'weekly' | 'monthly' | 'interval',
+ *     interval: 3,            // interval: every N days
+ *     weekdays: [1, 3],       // weekly: 0 = Sunday ... 6 = Saturday
+ *     dayOfMonth: 15,         // monthly: day N (clamped to month length)
+ *     endDate: '2026-12-31',  // optional: no occurrence after this day
+ *     count: 10,              // optional: total number of occurrences
+ *     occurrence: 1           // position of this task in the series
+ *   }
+ */
+class RecurrenceRule {
+    static FREQUENCIES = ['daily', 'weekly', 'monthly', 'interval'];
+    static WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    
+    /**
+     * Normalize raw rule data (from the form or storage)
+     * @param {Object|null} data - Raw rule
+     * @returns {Object|null} Clean rule, or null when the task does not repeat
+     */
+    static normalize(data) {
+        if (!data || !this.FREQUENCIES.includes(data.frequency)) {
+            return null;
+        }
+        
+        return {
+            frequency: data.frequency,
+            interval: Math.max(1, parseInt(data.interval, 10) || 1),
+            weekdays: [...new Set((data.weekdays || []).map(Number))]
+                .filter(day => day >= 0 && day <= 6)
+                .sort((a, b) => a - b),
+            dayOfMonth: Math.min(31, Math.max(1, parseInt(data.dayOfMonth, 10) || 1)),
+            endDate: data.endDate || null,
+            count: parseInt(data.count, 10) > 0 ? parseInt(data.count, 10) : null,
+            occurrence: Math.max(1, parseInt(data.occurrence, 10) || 1)
+        };
+    }
+    
+    /**
+     * Compute the deadline of the next occurrence
+     * @param {Object} rule - Recurrence rule
+     * @param {string} deadline - Deadline of the current occurrence
+     * @returns {string|null} Next deadline (datetime-local format) or null if the series ended
+     */
+    static getNextDeadline(rule, deadline) {
+        if (!rule) {
+            return null;
+        }
+        
+        // Count limit reached
+        if (rule.count && rule.occurrence >= rule.count) {
+            return null;
+        }
+        
+        const current = new Date(deadline);
+        if (isNaN(current)) {
+            return null;
+        }
+        
+        const next = new Date(current);
+        
+        switch (rule.frequency) {
+            case 'daily':
+                next.setDate(next.getDate() + 1);
+                break;
+            case 'interval':
+                next.setDate(next.getDate() + rule.interval);
+                break;
+            case 'weekly': {
+                const weekdays = rule.weekdays.length > 0 ? rule.weekdays : [current.getDay()];
+                do {
+                    next.setDate(next.getDate() + 1);
+                } while (!weekdays.includes(next.getDay()));
+                break;
+            }
+            case 'monthly': {
+                // Same month if day N is still ahead, otherwise next month
+                this.setDayOfMonth(next, rule.dayOfMonth);
+                if (next <= current) {
+                    next.setDate(1);
+                    next.setMonth(next.getMonth() + 1);
+                    this.setDayOfMonth(next, rule.dayOfMonth);
+                }
+                break;
+            }
+            default:
+                return null;
+        }
+        
+        // End date reached (the end date itself is inclusive)
+        if (rule.endDate) {
+            const end = new Date(`${rule.endDate}T23:59:59`);
+            if (next > end) {
+                return null;
+            }
+        }
+        
+        return this.toInputValue(next);
+    }
+    
+    /**
+     * Set day N of the date's month, clamped to the month length
+     */
+    static setDayOfMonth(date, day) {
+        const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+        date.setDate(Math.min(day, daysInMonth));
+    }
+    
+    /**
+     * Format a date as a local datetime-local value (YYYY-MM-DDTHH:mm)
+     */
+    static toInputValue(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+            `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+    
+    /**
+     * Human-readable description of a rule
+     * @example "Weekly on Mon, Wed · until Dec 31, 2026"
+     */
+    static describe(rule) {
+        if (!rule) {
+            return '';
+        }
+        
+        let text;
+        switch (rule.frequency) {
+            case 'daily':
+                text = 'Every day';
+                break;
+            case 'interval':
+                text = rule.interval === 1 ? 'Every day' : `Every ${rule.interval} days`;
+                break;
+            case 'weekly':
+                text = rule.weekdays.length > 0
+                    ? `Weekly on ${rule.weekdays.map(day => this.WEEKDAY_NAMES[day]).join(', ')}`
+                    : 'Weekly';
+                break;
+            case 'monthly':
+                text = `Monthly on day ${rule.dayOfMonth}`;
+                break;
+            default:
+                return '';
+        }
+        
+        if (rule.endDate) {
+            const end = new Date(`${rule.endDate}T00:00:00`);
+            text += ` · until ${end.toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric'
+            })}`;
+        }
+        
+        if (rule.count) {
+            text += ` · ${rule.occurrence} of ${rule.count}`;
+        }
+        
+        return text;
+    }
+}
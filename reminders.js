@@ -0,0 +1,201 @@
+/**
+ * ReminderScheduler - Fires reminders before task deadlines
+ * Design Pattern: Observer Pattern (registered on TaskManager)
+ * Reason: Every change to the tasks (edit, undo, import, other tab, reload)
+ * reaches update(), which re-schedules the reminders from scratch
+ *
+ * A task's reminders are offsets in minutes before its deadline, e.g. [1440, 60].
+ * Which reminders were already shown, and snoozes, are kept separately
+ * (StorageManager.loadReminderState) so firing one is not a task change:
+ *   { [taskId]: { deadline, fired: [offsets], snoozedUntil } }
+ * The state is reset when the deadline changes.
+ */
+class ReminderScheduler {
+    static OFFSETS = [
+        { minutes: 10, label: '10 minutes' },
+        { minutes: 60, label: '1 hour' },
+        { minutes: 1440, label: '1 day' },
+        { minutes: 10080, label: '1 week' }
+    ];
+    static SNOOZE_MINUTES = 10;
+    // Re-check at least this often (timers drift while the computer sleeps)
+    static MAX_DELAY = 60 * 60 * 1000;
+    
+    /**
+     * @param {Function} onReminder - Called with (task, message) when a reminder is due
+     */
+    constructor(onReminder) {
+        this.onReminder = onReminder;
+        this.tasks = [];
+        this.timer = null;
+    }
+    
+    /**
+     * Human readable offset, e.g. "1 day" or "90 minutes"
+     */
+    static describeOffset(minutes) {
+        const preset = this.OFFSETS.find(offset => offset.minutes === minutes);
+        if (preset) return preset.label;
+        if (minutes % 1440 === 0) return `${minutes / 1440} days`;
+        if (minutes % 60 === 0) return `${minutes / 60} hours`;
+        return `${minutes} minutes`;
+    }
+    
+    /**
+     * Observer update: re-schedule for the new task list
+     */
+    update(tasks) {
+        this.schedule(tasks);
+    }
+    
+    /**
+     * Fire the reminders that are due and set a timer for the next one
+     * @param {Array} tasks - All tasks
+     * @param {Date} [now]
+     */
+    schedule(tasks, now = new Date()) {
+        this.tasks = tasks;
+        clearTimeout(this.timer);
+        this.timer = null;
+        
+        // Another tab may have fired or snoozed a reminder meanwhile
+        const state = StorageManager.loadReminderState();
+        const nextState = {};
+        let next = Infinity;
+        
+        tasks.forEach(task => {
+            if (!task.reminders || task.reminders.length === 0 || Workflow.isCompleted(task)) {
+                return;
+            }
+            
+            const deadline = new Date(task.deadline).getTime();
+            const previous = state[task.id];
+            const entry = previous && previous.deadline === task.deadline
+                ? previous
+                : { deadline: task.deadline, fired: [], snoozedUntil: null };
+            
+            // Reminders still waiting to be shown, earliest first
+            const pending = task.reminders
+                .filter(offset => !entry.fired.includes(offset))
+                .map(offset => ({ offset, at: deadline - offset * 60000 }))
+                .sort((a, b) => a.at - b.at);
+            const due = pending.filter(reminder => reminder.at <= now.getTime());
+            const snoozeAt = entry.snoozedUntil ? new Date(entry.snoozedUntil).getTime() : null;
+            
+            if (due.length > 0 || (snoozeAt !== null && snoozeAt <= now.getTime())) {
+                // Reminders missed while the app was closed are shown once, not one by one
+                entry.fired = [...entry.fired, ...due.map(reminder => reminder.offset)];
+                entry.snoozedUntil = null;
+                if (deadline > now.getTime()) {
+                    this.onReminder(task, ReminderScheduler.describeDue(task, now));
+                }
+            } else if (snoozeAt !== null) {
+                next = Math.min(next, snoozeAt);
+            }
+            
+            const upcoming = pending.find(reminder => reminder.at > now.getTime());
+            if (upcoming) {
+                next = Math.min(next, upcoming.at);
+            }
+            nextState[task.id] = entry;
+        });
+        
+        StorageManager.saveReminderState(nextState);
+        
+        if (next !== Infinity) {
+            const delay = Math.min(Math.max(next - now.getTime(), 0), ReminderScheduler.MAX_DELAY);
+            this.timer = setTimeout(() => this.schedule(this.tasks), delay);
+        }
+    }
+    
+    /**
+     * Reminder text, e.g. "Due in 1 hour (Nov 1, 10:00 AM)"
+     */
+    static describeDue(task, now = new Date()) {
+        const minutes = Math.round((new Date(task.deadline) - now) / 60000);
+        const deadline = new Date(task.deadline).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        const hours = Math.round(minutes / 60);
+        const days = Math.round(minutes / 1440);
+        const remaining = minutes < 60 ? `${Math.max(minutes, 1)} min`
+            : hours < 48 ? `${hours} hour${hours === 1 ? '' : 's'}`
+            : `${days} days`;
+        return `Due in ${remaining} (${deadline})`;
+    }
+    
+    /**
+     * Show the reminder again later
+     * @param {string} taskId
+     * @param {number} [minutes]
+     */
+    snooze(taskId, minutes = ReminderScheduler.SNOOZE_MINUTES) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+        
+        const state = StorageManager.loadReminderState();
+        const entry = state[taskId] && state[taskId].deadline === task.deadline
+            ? state[taskId]
+            : { deadline: task.deadline, fired: [...task.reminders], snoozedUntil: null };
+        entry.snoozedUntil = new Date(Date.now() + minutes * 60000).toISOString();
+        state[taskId] = entry;
+        StorageManager.saveReminderState(state);
+        
+        console.log(`💤 Reminder snoozed for ${minutes} minutes`);
+        this.schedule(this.tasks);
+    }
+    
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+    
+    /**
+     * Whether browser notifications can be shown (permission granted)
+     */
+    static canNotify() {
+        return typeof Notification !== 'undefined' && Notification.permission === 'granted';
+    }
+    
+    /**
+     * Ask for notification permission (must run in a click handler)
+     * @returns {Promise<boolean>} Granted
+     */
+    static async requestPermission() {
+        if (typeof Notification === 'undefined') {
+            return false;
+        }
+        const permission = await Notification.requestPermission();
+        return permission === 'granted';
+    }
+    
+    /**
+     * Show a browser notification
+     * @param {Task} task
+     * @param {string} message
+     * @param {Function} [onClick]
+     * @returns {boolean} Shown (false: use an in-app toast instead)
+     */
+    static notify(task, message, onClick = null) {
+        if (!this.canNotify()) {
+            return false;
+        }
+        
+        try {
+            const notification = new Notification(`🔔 ${task.title}`, { body: message, tag: task.id });
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+                if (onClick) onClick();
+            };
+            return true;
+        } catch (error) {
+            // e.g. Chrome on Android only allows notifications from a service worker
+            console.error('❌ Error showing notification:', error);
+            return false;
+        }
+    }
+}
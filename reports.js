@@ -0,0 +1,274 @@
+/**
+ * Task reports - Read-only exports for tickets, wikis and printing
+ * Unlike the formats in formats.js they cannot be imported again.
+ * They are exported with the tasks currently shown (filter, search
+ * and sort applied by UIManager.getVisibleTasks), grouped by status, priority or project
+ */
+
+/**
+ * TaskReport - Grouping and formatting shared by the reports
+ */
+class TaskReport {
+    static PRIORITY_ICONS = { 'High': '🔴', 'Medium': '🟡', 'Low': '🟢' };
+    
+    /**
+     * Split tasks into groups, keeping their order inside each group
+     * @param {Array} tasks - Tasks in display order
+     * @param {string} groupBy - 'status' (workflow order), 'priority' or 'project' (project order)
+     * @returns {Array} [{ name, tasks }] (empty groups left out)
+     */
+    static groupTasks(tasks, groupBy = 'status') {
+        let order = Workflow.getInstance().getStatuses();
+        let groupName = task => task.status;
+        if (groupBy === 'priority') {
+            order = Task.PRIORITIES;
+            groupName = task => task.priority;
+        } else if (groupBy === 'project') {
+            const projects = TaskManager.getInstance().projects;
+            order = projects.getAll().map(project => project.name);
+            groupName = task => projects.resolve(task.projectId).name;
+        }
+        const groups = new Map(order.map(name => [name, []]));
+        
+        tasks.forEach(task => {
+            const name = groupName(task);
+            if (!groups.has(name)) {
+                groups.set(name, []);
+            }
+            groups.get(name).push(task);
+        });
+        
+        return [...groups.entries()]
+            .filter(([, groupTasks]) => groupTasks.length > 0)
+            .map(([name, groupTasks]) => ({ name, tasks: groupTasks }));
+    }
+    
+    static formatDate(value) {
+        return new Date(value).toLocaleString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+    
+    /**
+     * Report subtitle: export date, task count and the applied view
+     * @param {Object} options - { description } e.g. "Filter: Overdue · Sort: Deadline ↑"
+     */
+    static getSummary(tasks, options = {}) {
+        const parts = [`Exported ${this.formatDate(new Date())}`, `${tasks.length} task(s)`];
+        if (options.description) {
+            parts.push(options.description);
+        }
+        return parts.join(' · ');
+    }
+}
+
+/**
+ * Markdown report with GitHub-style checkboxes
+ */
+class MarkdownReport extends TaskReport {
+    static EXTENSION = 'md';
+    static MIME_TYPE = 'text/markdown;charset=utf-8';
+    
+    /**
+     * @param {Array} tasks - Tasks in display order
+     * @param {Object} [options] - { groupBy, description }
+     */
+    static serialize(tasks, options = {}) {
+        const lines = [
+            '# Smart Task Organizer - Tasks',
+            '',
+            `_${this.escape(this.getSummary(tasks, options))}_`,
+            ''
+        ];
+        
+        this.groupTasks(tasks, options.groupBy).forEach(group => {
+            lines.push(`## ${this.escape(group.name)} (${group.tasks.length})`, '');
+            group.tasks.forEach(task => {
+                lines.push(...this.renderTask(task));
+            });
+            lines.push('');
+        });
+        
+        if (tasks.length === 0) {
+            lines.push('_No tasks._', '');
+        }
+        
+        return lines.join('\n');
+    }
+    
+    /**
+     * One task as a checklist item, details indented below it
+     * @returns {Array} Lines
+     */
+    static renderTask(task) {
+        const details = [
+            `${this.PRIORITY_ICONS[task.priority] || ''} ${task.priority}`,
+            `📅 ${this.formatDate(task.deadline)}`,
+            task.status
+        ];
+        if (FilterOverdue.isOverdue(task)) {
+            details.push('⚠️ Overdue');
+        }
+        
+        const lines = [
+            `- [${Workflow.isCompleted(task) ? 'x' : ' '}] **${this.escape(task.title)}** — ${details.join(' · ')}`
+        ];
+        
+        if (task.tags && task.tags.length > 0) {
+            lines.push(`  ${task.tags.map(tag => `\`#${tag}\``).join(' ')}`);
+        }
+        if (task.recurrence) {
+            lines.push(`  🔁 ${RecurrenceRule.describe(task.recurrence)}`);
+        }
+        if (task.description) {
+            task.description.split(/\r?\n/).forEach(line => {
+                lines.push(`  > ${this.escape(line)}`);
+            });
+        }
+        (task.checklist || []).forEach(item => {
+            lines.push(`  - [${item.done ? 'x' : ' '}] ${this.escape(item.text)}`);
+        });
+        if (task.estimate || (task.timeLogs && task.timeLogs.length > 0)) {
+            lines.push(`  ⏱️ ${this.escape(TimeTracking.describe(task))}`);
+        }
+        if (task.timeLogs && task.timeLogs.length > 0) {
+            lines.push('  <details><summary>Time log</summary>', '');
+            task.timeLogs.forEach(log => {
+                lines.push(`  - ${this.escape(TimeTracking.describeLog(log))}`);
+            });
+            lines.push('', '  </details>');
+        }
+        if (task.activity && task.activity.length > 0) {
+            lines.push('  <details><summary>History</summary>', '');
+            task.activity.forEach(entry => {
+                lines.push(`  - ${this.escape(ActivityLog.describe(entry))}`);
+            });
+            lines.push('', '  </details>');
+        }
+        
+        return lines;
+    }
+    
+    /**
+     * Escape characters Markdown would otherwise interpret
+     */
+    static escape(text) {
+        return String(text).replace(/([\\`*_[\]<>|])/g, '\\$1');
+    }
+}
+
+/**
+ * Standalone, print-friendly HTML report (inline styles, no scripts)
+ */
+class HtmlReport extends TaskReport {
+    static EXTENSION = 'html';
+    static MIME_TYPE = 'text/html;charset=utf-8';
+    
+    static STYLES = `
+        body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; color: #222; margin: 2em; }
+        h1 { margin-bottom: 0.2em; }
+        .summary { color: #666; margin-bottom: 2em; }
+        h2 { border-bottom: 2px solid #667eea; padding-bottom: 0.2em; margin-top: 1.5em; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { text-align: left; vertical-align: top; padding: 6px 8px; border-bottom: 1px solid #ddd; }
+        th { background: #f3f4f6; }
+        .done { color: #888; text-decoration: line-through; }
+        .overdue { color: #c53030; font-weight: 600; }
+        .description { white-space: pre-wrap; color: #555; font-size: 0.9em; }
+        .meta { color: #666; font-size: 0.85em; }
+        ul.checklist { list-style: none; margin: 4px 0 0; padding: 0; font-size: 0.9em; }
+        details.activity { color: #666; font-size: 0.8em; margin-top: 4px; }
+        @media print {
+            body { margin: 0; }
+            h2 { break-after: avoid; }
+            tr { break-inside: avoid; }
+        }
+    `;
+    
+    /**
+     * @param {Array} tasks - Tasks in display order
+     * @param {Object} [options] - { groupBy, description }
+     */
+    static serialize(tasks, options = {}) {
+        const groups = this.groupTasks(tasks, options.groupBy).map(group => `
+    <h2>${this.escape(group.name)} (${group.tasks.length})</h2>
+    <table>
+        <thead>
+            <tr><th></th><th>Task</th><th>Priority</th><th>Deadline</th><th>Status</th></tr>
+        </thead>
+        <tbody>${group.tasks.map(task => this.renderTask(task)).join('')}
+        </tbody>
+    </table>`).join('\n');
+        
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Smart Task Organizer - Tasks</title>
+    <style>${this.STYLES}</style>
+</head>
+<body>
+    <h1>📋 Smart Task Organizer - Tasks</h1>
+    <p class="summary">${this.escape(this.getSummary(tasks, options))}</p>
+${groups || '    <p>No tasks.</p>'}
+</body>
+</html>
+`;
+    }
+    
+    static renderTask(task) {
+        const isCompleted = Workflow.isCompleted(task);
+        const isOverdue = FilterOverdue.isOverdue(task);
+        
+        const extras = [];
+        if (task.description) {
+            extras.push(`<div class="description">${this.escape(task.description)}</div>`);
+        }
+        const meta = [];
+        if (task.tags && task.tags.length > 0) {
+            meta.push(task.tags.map(tag => `#${this.escape(tag)}`).join(' '));
+        }
+        if (task.recurrence) {
+            meta.push(`🔁 ${this.escape(RecurrenceRule.describe(task.recurrence))}`);
+        }
+        if (task.estimate || (task.timeLogs && task.timeLogs.length > 0)) {
+            meta.push(`⏱️ ${this.escape(TimeTracking.describe(task))}`);
+        }
+        if (meta.length > 0) {
+            extras.push(`<div class="meta">${meta.join(' · ')}</div>`);
+        }
+        if (task.checklist && task.checklist.length > 0) {
+            extras.push(`<ul class="checklist">${task.checklist.map(item =>
+                `<li>${item.done ? '☑' : '☐'} ${this.escape(item.text)}</li>`).join('')}</ul>`);
+        }
+        if (task.timeLogs && task.timeLogs.length > 0) {
+            extras.push(`<details class="activity"><summary>Time log (${task.timeLogs.length})</summary><ul>${task.timeLogs.map(log =>
+                `<li>${this.escape(TimeTracking.describeLog(log))}</li>`).join('')}</ul></details>`);
+        }
+        if (task.activity && task.activity.length > 0) {
+            extras.push(`<details class="activity"><summary>History (${task.activity.length})</summary><ul>${task.activity.map(entry =>
+                `<li>${this.escape(ActivityLog.describe(entry))}</li>`).join('')}</ul></details>`);
+        }
+        
+        return `
+            <tr>
+                <td>${isCompleted ? '☑' : '☐'}</td>
+                <td><strong class="${isCompleted ? 'done' : ''}">${this.escape(task.title)}</strong>${extras.join('')}</td>
+                <td>${this.PRIORITY_ICONS[task.priority] || ''} ${this.escape(task.priority)}</td>
+                <td class="${isOverdue ? 'overdue' : ''}">${this.formatDate(task.deadline)}${isOverdue ? ' ⚠️' : ''}</td>
+                <td>${this.escape(task.status)}</td>
+            </tr>`;
+    }
+    
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
@@ -0,0 +1,106 @@
+/**
+ * TaskSchema - Version of the stored task data and its migrations
+ * Stored payloads look like { version, tasks }. Data saved before the
+ * version field existed (a bare task array) is version 1.
+ *
+ * To change the stored format: bump CURRENT_VERSION and add a migration
+ * from the previous version. Migrations run one version at a time,
+ * so any old payload is upgraded through every step in order.
+ */
+class TaskSchema {
+    static CURRENT_VERSION = 4;
+    
+    /**
+     * MIGRATIONS[n] upgrades the tasks of a version n payload to version n + 1
+     * A migration receives plain objects and must return new plain objects
+     */
+    static MIGRATIONS = {
+        // v1 → v2: fields added after the first release get explicit defaults
+        1: tasks => tasks.map(task => (task && typeof task === 'object' ? {
+            ...task,
+            recurrence: task.recurrence || null,
+            nextOccurrenceId: task.nextOccurrenceId || null,
+            checklist: Array.isArray(task.checklist) ? task.checklist : [],
+            autoComplete: !!task.autoComplete,
+            tags: Array.isArray(task.tags) ? task.tags : []
+        } : task)),
+        
+        // v2 → v3: updatedAt (multi-tab sync) starts at the creation date
+        2: tasks => tasks.map(task => (task && typeof task === 'object' ? {
+            ...task,
+            updatedAt: task.updatedAt || task.createdAt
+        } : task)),
+        
+        // v3 → v4: completedAt (statistics); the last change is the best guess for tasks already done
+        3: tasks => tasks.map(task => (task && typeof task === 'object' ? {
+            ...task,
+            completedAt: task.completedAt || (Workflow.isCompleted(task) ? task.updatedAt || task.createdAt : null)
+        } : task))
+    };
+    
+    /**
+     * Version of a payload (payloads without one are version 1)
+     */
+    static getVersion(payload) {
+        return (payload && parseInt(payload.version, 10)) || 1;
+    }
+    
+    static needsMigration(payload) {
+        return this.getVersion(payload) !== this.CURRENT_VERSION;
+    }
+    
+    /**
+     * Upgrade a payload step by step to CURRENT_VERSION
+     * @param {Object} payload - { version, tasks }
+     * @returns {Object} { version: CURRENT_VERSION, tasks }
+     * @throws {Error} When the payload is newer than this app or a step is missing
+     */
+    static migrate(payload) {
+        let version = this.getVersion(payload);
+        let tasks = JSON.parse(JSON.stringify(payload.tasks || []));
+        
+        if (version > this.CURRENT_VERSION) {
+            throw new Error(`Data was saved by a newer version (schema v${version}, this app reads up to v${this.CURRENT_VERSION})`);
+        }
+        
+        while (version < this.CURRENT_VERSION) {
+            const migration = this.MIGRATIONS[version];
+            if (!migration) {
+                throw new Error(`No migration from schema v${version}`);
+            }
+            tasks = migration(tasks);
+            version++;
+            console.log(`✅ Migrated tasks to schema v${version}`);
+        }
+        
+        return { version, tasks };
+    }
+    
+    /**
+     * Check migrated tasks before they replace the stored data
+     * @param {Array} tasks - Plain task objects
+     * @returns {Array} Error messages (empty when valid)
+     */
+    static validate(tasks) {
+        if (!Array.isArray(tasks)) {
+            return ['Task list is not an array'];
+        }
+        
+        const errors = [];
+        const ids = new Set();
+        tasks.forEach((task, index) => {
+            const label = `Task ${index + 1}`;
+            TaskValidator.validate(task).forEach(message => errors.push(`${label}: ${message}`));
+            
+            if (task && !task.id) {
+                errors.push(`${label}: Missing id`);
+            } else if (task && ids.has(task.id)) {
+                errors.push(`${label}: Duplicate id "${task.id}"`);
+            }
+            if (task) {
+                ids.add(task.id);
+            }
+        });
+        return errors;
+    }
+}
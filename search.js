@@ -0,0 +1,194 @@
+/**
+ * SearchQuery - Parses and evaluates search box queries
+ *
+ * Supported syntax (terms are combined with AND):
+ *   report                 word in title or description
+ *   "exact phrase"         phrase in title or description
+ *   priority:high          priority (high / medium / low)
+ *   status:todo            workflow status (todo / "in progress" / completed / done / pending)
+ *   tag:billing            task has the tag
+ *   due:<2026-11-01        deadline before / after / on a day (<, <=, >, >=, =)
+ *   created:>=2026-10-01   creation date, same operators
+ *   title:report           word or "phrase" in the title only
+ *   description:invoice    word or "phrase" in the description only
+ *   -term                  negates any of the above
+ */
+class SearchQuery {
+    static FIELDS = ['priority', 'status', 'tag', 'due', 'created', 'title', 'description'];
+    static FIELD_ALIASES = { tags: 'tag', desc: 'description', deadline: 'due', p: 'priority', s: 'status' };
+    static TOKEN_PATTERN = /(-?)(?:([a-zA-Z]+):)?(?:"([^"]*)"?|(\S+))/g;
+    
+    /**
+     * @param {string} text - Raw query from the search box
+     */
+    constructor(text = '') {
+        this.text = text.trim();
+        this.terms = SearchQuery.parse(this.text);
+    }
+    
+    /**
+     * Split a query into terms
+     * @param {string} text - Raw query
+     * @returns {Array} [{ field, operator, value, negate, phrase }]
+     */
+    static parse(text) {
+        const terms = [];
+        let match;
+        
+        this.TOKEN_PATTERN.lastIndex = 0;
+        while ((match = this.TOKEN_PATTERN.exec(text)) !== null) {
+            const [raw, minus, rawField, quoted, bare] = match;
+            if (!raw.trim()) continue;
+            
+            let field = rawField ? rawField.toLowerCase() : 'text';
+            field = this.FIELD_ALIASES[field] || field;
+            let value = quoted !== undefined ? quoted : bare;
+            
+            // Unknown field: search "field:value" as plain text
+            if (field !== 'text' && !this.FIELDS.includes(field)) {
+                value = `${rawField}:${value}`;
+                field = 'text';
+            }
+            
+            let operator = '=';
+            if (field === 'due' || field === 'created') {
+                const operatorMatch = value.match(/^(<=|>=|<|>|=)?(.*)$/);
+                operator = operatorMatch[1] || '=';
+                value = operatorMatch[2];
+            }
+            
+            if (!value) continue;
+            
+            terms.push({
+                field,
+                operator,
+                value: value.toLowerCase(),
+                negate: minus === '-',
+                phrase: quoted !== undefined
+            });
+        }
+        
+        return terms;
+    }
+    
+    /**
+     * True when the query has no terms
+     */
+    isEmpty() {
+        return this.terms.length === 0;
+    }
+    
+    /**
+     * Check a task against every term
+     */
+    matches(task) {
+        return this.terms.every(term => {
+            const result = this.matchTerm(task, term);
+            return term.negate ? !result : result;
+        });
+    }
+    
+    /**
+     * Check a single term
+     */
+    matchTerm(task, term) {
+        const title = (task.title || '').toLowerCase();
+        const description = (task.description || '').toLowerCase();
+        
+        switch (term.field) {
+            case 'text':
+                return title.includes(term.value) || description.includes(term.value);
+            case 'title':
+                return title.includes(term.value);
+            case 'description':
+                return description.includes(term.value);
+            case 'priority':
+                return (task.priority || '').toLowerCase() === term.value;
+            case 'status':
+                return this.matchStatus(task, term.value);
+            case 'tag':
+                return (task.tags || []).includes(term.value.replace(/^#+/, ''));
+            case 'due':
+                return SearchQuery.compareDay(task.deadline, term.operator, term.value);
+            case 'created':
+                return SearchQuery.compareDay(task.createdAt, term.operator, term.value);
+            default:
+                return false;
+        }
+    }
+    
+    /**
+     * status:<workflow status> (also accepts "done" and "pending")
+     * Spaces and dashes are ignored, so status:inprogress matches "In Progress"
+     */
+    matchStatus(task, value) {
+        if (value === 'done') return Workflow.isCompleted(task);
+        if (value === 'pending') return !Workflow.isCompleted(task);
+        
+        const normalize = text => String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+        return normalize(task.status || '') === normalize(value);
+    }
+    
+    /**
+     * Compare the calendar day of a date with a query value
+     * @param {string} dateValue - Task date (ISO or datetime-local)
+     * @param {string} operator - <, <=, >, >=, =
+     * @param {string} value - YYYY-MM-DD, "today" or "tomorrow"
+     */
+    static compareDay(dateValue, operator, value) {
+        const date = new Date(dateValue);
+        const target = this.parseDay(value);
+        if (isNaN(date) || !target) {
+            return false;
+        }
+        
+        const day = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+        const targetDay = target.getTime();
+        
+        switch (operator) {
+            case '<': return day < targetDay;
+            case '<=': return day <= targetDay;
+            case '>': return day > targetDay;
+            case '>=': return day >= targetDay;
+            default: return day === targetDay;
+        }
+    }
+    
+    /**
+     * Parse a query date into local midnight
+     * @returns {Date|null}
+     */
+    static parseDay(value) {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        
+        if (value === 'today') {
+            return today;
+        }
+        if (value === 'tomorrow') {
+            today.setDate(today.getDate() + 1);
+            return today;
+        }
+        if (value === 'yesterday') {
+            today.setDate(today.getDate() - 1);
+            return today;
+        }
+        
+        const match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        if (!match) {
+            return null;
+        }
+        return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    }
+    
+    /**
+     * Words and phrases to highlight in titles and descriptions
+     * @returns {Array} Lowercase strings, longest first
+     */
+    getHighlightTerms() {
+        return this.terms
+            .filter(term => !term.negate && ['text', 'title', 'description'].includes(term.field))
+            .map(term => term.value)
+            .sort((a, b) => b.length - a.length);
+    }
+}
@@ -0,0 +1,62 @@
+/**
+ * SmartListManager - Named filter combinations ("smart lists")
+ * Each smart list stores a filter spec understood by StrategyFactory.fromSpec
+ * and is persisted through StorageManager
+ */
+class SmartListManager {
+    constructor() {
+        this.smartLists = StorageManager.loadSmartLists();
+    }
+    
+    /**
+     * Get all smart lists
+     */
+    getAll() {
+        return [...this.smartLists];
+    }
+    
+    /**
+     * Get a smart list by ID
+     */
+    getById(id) {
+        return this.smartLists.find(list => list.id === id);
+    }
+    
+    /**
+     * Save a new smart list (replaces one with the same name)
+     * @param {string} name - Display name
+     * @param {Object} filter - Filter spec { match, conditions }
+     * @returns {Object} The smart list
+     */
+    save(name, filter) {
+        if (!name || !name.trim()) {
+            throw new Error('Smart list name is required');
+        }
+        if (!filter || !filter.conditions || filter.conditions.length === 0) {
+            throw new Error('Smart list needs at least one condition');
+        }
+        
+        const existing = this.smartLists.find(list => list.name === name.trim());
+        const smartList = {
+            id: existing ? existing.id : `list_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name: name.trim(),
+            filter
+        };
+        
+        this.smartLists = this.smartLists.filter(list => list.id !== smartList.id);
+        this.smartLists.push(smartList);
+        StorageManager.saveSmartLists(this.smartLists);
+        
+        console.log('✅ Smart list saved:', smartList.name);
+        return smartList;
+    }
+    
+    /**
+     * Delete a smart list
+     */
+    delete(id) {
+        this.smartLists = this.smartLists.filter(list => list.id !== id);
+        StorageManager.saveSmartLists(this.smartLists);
+        console.log('✅ Smart list deleted');
+    }
+}
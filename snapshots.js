@@ -0,0 +1,132 @@
+/**
+ * SnapshotManager - Rolling automatic backups of the task list
+ * Kinds (each keeps its own number of most recent snapshots):
+ *   daily   - first save of every day
+ *   session - tasks as loaded when the app starts
+ *   safety  - taken right before clearing, replacing or restoring tasks
+ *   manual  - "Snapshot now" button
+ * Snapshots are persisted through StorageManager, separately from the tasks,
+ * so they survive a corrupted or cleared task store
+ */
+class SnapshotManager {
+    static LIMITS = { daily: 7, session: 5, safety: 5, manual: 10 };
+    static KIND_LABELS = {
+        daily: '📅 Daily',
+        session: '🚀 Session start',
+        safety: '🛟 Before a risky change',
+        manual: '📸 Manual'
+    };
+    
+    constructor() {
+        this.snapshots = [];
+        this.storage = null; // StorageAdapter, set by load()
+        this.saving = Promise.resolve(); // Writes run one after another
+        this.onSaveError = null; // Called with a message when the snapshots cannot be stored
+    }
+    
+    /**
+     * Read the stored snapshots
+     * @param {StorageAdapter} adapter - Opened storage backend, also used for saving
+     */
+    async load(adapter) {
+        this.storage = adapter;
+        this.snapshots = await StorageManager.loadSnapshots(adapter);
+    }
+    
+    /**
+     * All snapshots, newest first
+     */
+    getAll() {
+        return [...this.snapshots].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+    
+    getById(id) {
+        return this.snapshots.find(snapshot => snapshot.id === id);
+    }
+    
+    /**
+     * Store a copy of the tasks
+     * @param {string} kind - daily | session | safety | manual
+     * @param {Array} tasks - Current tasks
+     * @param {string} [note] - Why the snapshot was taken
+     * @returns {Object} The snapshot { id, kind, note, createdAt, version, taskCount, tasks }
+     */
+    take(kind, tasks, note = '') {
+        const snapshot = {
+            id: `snapshot_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            kind,
+            note,
+            createdAt: new Date().toISOString(),
+            version: TaskSchema.CURRENT_VERSION,
+            taskCount: tasks.length,
+            tasks: JSON.parse(JSON.stringify(tasks))
+        };
+        
+        this.snapshots.push(snapshot);
+        
+        // Keep only the newest snapshots of this kind
+        const limit = SnapshotManager.LIMITS[kind] || 5;
+        const ofKind = this.snapshots
+            .filter(s => s.kind === kind)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        const expired = new Set(ofKind.slice(0, Math.max(0, ofKind.length - limit)).map(s => s.id));
+        this.snapshots = this.snapshots.filter(s => !expired.has(s.id));
+        
+        this.persist();
+        console.log(`📸 Snapshot taken (${kind}, ${tasks.length} tasks)`);
+        return snapshot;
+    }
+    
+    /**
+     * Take the daily snapshot unless today's already exists
+     * @returns {Object|null} The new snapshot
+     */
+    takeDailyIfNeeded(tasks) {
+        const dayKey = date => RecurrenceRule.toInputValue(date).slice(0, 10);
+        const today = dayKey(new Date());
+        const hasToday = this.snapshots.some(snapshot =>
+            snapshot.kind === 'daily' && dayKey(new Date(snapshot.createdAt)) === today
+        );
+        return hasToday ? null : this.take('daily', tasks);
+    }
+    
+    delete(id) {
+        this.snapshots = this.snapshots.filter(snapshot => snapshot.id !== id);
+        this.persist();
+    }
+    
+    /**
+     * Save the snapshots (in the background, one write at a time)
+     * @returns {Promise<boolean>} Success status
+     */
+    persist() {
+        this.saving = this.saving.then(() => this.write());
+        return this.saving;
+    }
+    
+    /**
+     * Write the snapshots; when storage is full, drop the oldest
+     * automatic snapshots until they fit
+     * @returns {Promise<boolean>} Success status
+     */
+    async write() {
+        if (!this.storage) {
+            return false;
+        }
+        while (!(await StorageManager.saveSnapshots(this.storage, this.snapshots))) {
+            const oldest = this.snapshots
+                .filter(snapshot => snapshot.kind !== 'manual')
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+            if (!oldest || this.snapshots.length <= 1) {
+                console.error('❌ Snapshots do not fit in storage');
+                if (this.onSaveError) {
+                    this.onSaveError('Backups could not be saved: storage is full');
+                }
+                return false;
+            }
+            this.snapshots = this.snapshots.filter(snapshot => snapshot !== oldest);
+            console.warn('⚠️ Storage full, dropped oldest snapshot');
+        }
+        return true;
+    }
+}
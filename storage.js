@@ -2,68 +2,396 @@
  * StorageManager - Handles all storage operations
  * Implements FR8: Auto-save tasks
  * Implements FR9: Auto-load tasks on startup
- * Implements FR10: Export tasks to text file
+ * Tasks, the undo history and the snapshots are persisted through a
+ * StorageAdapter (see storageAdapters.js); smart lists and settings stay in localStorage
+ * Implements FR10: Export tasks to text file (also JSON / CSV / iCalendar, see formats.js)
  * Implements NFR3: Data stored in readable format
  */
 class StorageManager {
     static STORAGE_KEY = 'smart_task_organizer_tasks';
+    static HISTORY_KEY = 'smart_task_organizer_history';
+    static SMART_LISTS_KEY = 'smart_task_organizer_smart_lists';
+    static WORKFLOW_KEY = 'smart_task_organizer_workflow';
+    static BACKUP_KEY = 'smart_task_organizer_tasks_backup';
+    static SNAPSHOTS_KEY = 'smart_task_organizer_snapshots';
+    static REMINDERS_KEY = 'smart_task_organizer_reminders';
+    static DELETED_ACTIVITY_KEY = 'smart_task_organizer_deleted_activity';
+    static PROJECTS_KEY = 'smart_task_organizer_projects';
+    // localStorage keys of the adapter records (see LocalStorageAdapter)
+    static RECORD_KEYS = { history: this.HISTORY_KEY, snapshots: this.SNAPSHOTS_KEY };
     
     /**
-     * FR9: Load all saved tasks from localStorage
-     * @returns {Array} Array of tasks
+     * FR9: Pick and open the task storage backend
+     * IndexedDB when the browser supports it, localStorage otherwise
+     * @returns {Promise<StorageAdapter>} Opened adapter
      */
-    static loadTasks() {
-        try {
-            const data = localStorage.getItem(this.STORAGE_KEY);
+    static async createTaskAdapter() {
+        if (typeof indexedDB !== 'undefined') {
+            try {
+                const adapter = new IndexedDBAdapter();
+                await adapter.open();
+                await this.migrateLegacyTasks(adapter);
+                await this.migrateLegacyRecords(adapter);
+                return adapter;
+            } catch (error) {
+                console.error('❌ IndexedDB unavailable, using localStorage:', error);
+            }
+        }
+        
+        const adapter = new LocalStorageAdapter(this.STORAGE_KEY);
+        await adapter.open();
+        return adapter;
+    }
+    
+    /**
+     * One-time move of the tasks saved under STORAGE_KEY into a new backend
+     * The old key is removed once the tasks are safely written
+     * @param {StorageAdapter} adapter - Target backend
+     * @returns {Promise<boolean>} True when tasks were migrated
+     */
+    static async migrateLegacyTasks(adapter) {
+        if (localStorage.getItem(this.STORAGE_KEY) === null) {
+            return false;
+        }
+        
+        const existing = await adapter.load();
+        if (existing.tasks.length > 0) {
+            // Never overwrite tasks already stored in the new backend
+            console.warn('⚠️ Legacy tasks found but the new storage is not empty; migration skipped');
+            return false;
+        }
+        
+        // Copied as-is: loadTasks() upgrades the schema version afterwards
+        const legacyPayload = await new LocalStorageAdapter(this.STORAGE_KEY).load();
+        if (!(await adapter.save(legacyPayload))) {
+            throw new Error('Could not write migrated tasks');
+        }
+        
+        localStorage.removeItem(this.STORAGE_KEY);
+        console.log(`✅ Migrated ${legacyPayload.tasks.length} tasks from localStorage`);
+        return true;
+    }
+    
+    /**
+     * One-time move of the undo history and snapshots kept in localStorage
+     * into a new backend (unless it already has its own)
+     * A record that cannot be moved stays in localStorage for the next start
+     * @param {StorageAdapter} adapter - Target backend
+     */
+    static async migrateLegacyRecords(adapter) {
+        for (const [name, key] of Object.entries(this.RECORD_KEYS)) {
+            const data = localStorage.getItem(key);
+            if (data === null) continue;
             
-            if (data) {
-                const tasksData = JSON.parse(data);
-                console.log(`✅ Loaded ${tasksData.length} tasks from storage`);
-                return tasksData;
+            try {
+                if ((await adapter.loadRecord(name)) === null &&
+                    !(await adapter.saveRecord(name, JSON.parse(data)))) {
+                    throw new Error(`Could not write migrated ${name}`);
+                }
+                localStorage.removeItem(key);
+                console.log(`✅ Migrated ${name} from localStorage`);
+            } catch (error) {
+                console.error(`❌ Error migrating ${name}:`, error);
+            }
+        }
+    }
+    
+    /**
+     * FR9: Load the stored tasks, upgrading older schema versions
+     * Migrated data is validated and saved back; if any step fails the
+     * original payload is kept under BACKUP_KEY and the error is rethrown
+     * @param {StorageAdapter} adapter - Opened storage backend
+     * @returns {Promise<Array>} Plain task objects (current schema)
+     */
+    static async loadTasks(adapter) {
+        const payload = await adapter.load();
+        if (!TaskSchema.needsMigration(payload)) {
+            return payload.tasks;
+        }
+        
+        try {
+            const migrated = TaskSchema.migrate(payload);
+            const errors = TaskSchema.validate(migrated.tasks);
+            if (errors.length > 0) {
+                throw new Error(`Migrated data is invalid: ${errors.slice(0, 3).join('; ')}`);
+            }
+            if (!(await adapter.save(migrated))) {
+                throw new Error('Could not save migrated data');
             }
             
-            console.log('ℹ️ No saved tasks found');
-            return [];
+            console.log(`✅ Tasks upgraded from schema v${TaskSchema.getVersion(payload)} to v${migrated.version}`);
+            return migrated.tasks;
             
         } catch (error) {
-            console.error('❌ Error loading tasks:', error);
+            console.error('❌ Error migrating tasks:', error);
+            this.saveBackup(payload, error.message);
+            throw error;
+        }
+    }
+    
+    /**
+     * FR8: Save tasks with the current schema version
+     * @param {StorageAdapter} adapter - Opened storage backend
+     * @param {Array} tasks - Tasks to save
+     * @returns {Promise<boolean>} Success status
+     */
+    static saveTasks(adapter, tasks) {
+        return adapter.save({ version: TaskSchema.CURRENT_VERSION, tasks });
+    }
+    
+    /**
+     * Keep a copy of stored data that could not be loaded
+     * @param {Object} payload - Original { version, tasks }
+     * @param {string} reason - Why it was backed up
+     * @returns {boolean} Success status
+     */
+    static saveBackup(payload, reason) {
+        try {
+            localStorage.setItem(this.BACKUP_KEY, JSON.stringify({
+                ...payload,
+                backedUpAt: new Date().toISOString(),
+                reason
+            }));
+            console.log(`💾 Backup of ${(payload.tasks || []).length} tasks kept under ${this.BACKUP_KEY}`);
+            return true;
+        } catch (error) {
+            console.error('❌ Error saving backup:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Load undo/redo history
+     * @param {StorageAdapter} adapter - Opened storage backend
+     * @returns {Promise<Object>} { undo: Array, redo: Array }
+     */
+    static async loadHistory(adapter) {
+        try {
+            return (await adapter.loadRecord('history')) || { undo: [], redo: [] };
+        } catch (error) {
+            console.error('❌ Error loading history:', error);
+            return { undo: [], redo: [] };
+        }
+    }
+    
+    /**
+     * Save undo/redo history
+     * @param {StorageAdapter} adapter - Opened storage backend
+     * @param {Object} history - { undo: Array, redo: Array }
+     * @returns {Promise<boolean>} Success status
+     */
+    static saveHistory(adapter, history) {
+        return adapter.saveRecord('history', history);
+    }
+    
+    /**
+     * Load saved smart lists (named filter combinations)
+     * @returns {Array} [{ id, name, filter }]
+     */
+    static loadSmartLists() {
+        try {
+            const data = localStorage.getItem(this.SMART_LISTS_KEY);
+            return data ? JSON.parse(data) : [];
+        } catch (error) {
+            console.error('❌ Error loading smart lists:', error);
             return [];
         }
     }
     
     /**
-     * FR8: Save all tasks to localStorage
-     * This is called automatically after every operation
-     * @param {Array} tasks - Array of tasks to save
+     * Save smart lists
+     * @param {Array} smartLists - [{ id, name, filter }]
      * @returns {boolean} Success status
      */
-    static saveTasks(tasks) {
+    static saveSmartLists(smartLists) {
         try {
-            // Convert tasks to JSON string (NFR3: readable format)
-            const jsonData = JSON.stringify(tasks, null, 2);
-            localStorage.setItem(this.STORAGE_KEY, jsonData);
-            console.log(`✅ Saved ${tasks.length} tasks to storage`);
+            localStorage.setItem(this.SMART_LISTS_KEY, JSON.stringify(smartLists, null, 2));
             return true;
         } catch (error) {
-            console.error('❌ Error saving tasks:', error);
+            console.error('❌ Error saving smart lists:', error);
             return false;
         }
     }
     
     /**
-     * FR10: Export all tasks to a text file
+     * Load the automatic backups (see SnapshotManager)
+     * @param {StorageAdapter} adapter - Opened storage backend
+     * @returns {Promise<Array>} Snapshots
+     */
+    static async loadSnapshots(adapter) {
+        try {
+            return (await adapter.loadRecord('snapshots')) || [];
+        } catch (error) {
+            console.error('❌ Error loading snapshots:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Save the snapshots
+     * @param {StorageAdapter} adapter - Opened storage backend
+     * @param {Array} snapshots
+     * @returns {Promise<boolean>} Success status (false when storage is full)
+     */
+    static saveSnapshots(adapter, snapshots) {
+        return adapter.saveRecord('snapshots', snapshots);
+    }
+    
+    /**
+     * Load which reminders were shown or snoozed (see ReminderScheduler)
+     * @returns {Object} { [taskId]: { deadline, fired, snoozedUntil } }
+     */
+    static loadReminderState() {
+        try {
+            const data = localStorage.getItem(this.REMINDERS_KEY);
+            return data ? JSON.parse(data) : {};
+        } catch (error) {
+            console.error('❌ Error loading reminder state:', error);
+            return {};
+        }
+    }
+    
+    /**
+     * Save the reminder state
+     * @returns {boolean} Success status
+     */
+    static saveReminderState(state) {
+        try {
+            localStorage.setItem(this.REMINDERS_KEY, JSON.stringify(state));
+            return true;
+        } catch (error) {
+            console.error('❌ Error saving reminder state:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Load the activity of deleted tasks (see ActivityLog)
+     * @returns {Array} [{ id, title, deletedAt, activity }]
+     */
+    static loadDeletedActivity() {
+        try {
+            const data = localStorage.getItem(this.DELETED_ACTIVITY_KEY);
+            return data ? JSON.parse(data) : [];
+        } catch (error) {
+            console.error('❌ Error loading deleted task activity:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Save the activity of deleted tasks
+     * @returns {boolean} Success status
+     */
+    static saveDeletedActivity(entries) {
+        try {
+            localStorage.setItem(this.DELETED_ACTIVITY_KEY, JSON.stringify(entries));
+            return true;
+        } catch (error) {
+            console.error('❌ Error saving deleted task activity:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Load the projects and the selected project (see ProjectManager)
+     * @returns {Object} { activeId, projects: [{ id, name, color, archived, createdAt }] }
+     */
+    static loadProjects() {
+        try {
+            const data = localStorage.getItem(this.PROJECTS_KEY);
+            return data ? JSON.parse(data) : { activeId: null, projects: [] };
+        } catch (error) {
+            console.error('❌ Error loading projects:', error);
+            return { activeId: null, projects: [] };
+        }
+    }
+    
+    /**
+     * Save the projects and the selected project
+     * @returns {boolean} Success status
+     */
+    static saveProjects(state) {
+        try {
+            localStorage.setItem(this.PROJECTS_KEY, JSON.stringify(state, null, 2));
+            return true;
+        } catch (error) {
+            console.error('❌ Error saving projects:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Load the workflow statuses stored alongside the tasks
+     * @returns {Array|null} Ordered status names, or null if never configured
+     */
+    static loadWorkflow() {
+        try {
+            const data = localStorage.getItem(this.WORKFLOW_KEY);
+            return data ? JSON.parse(data) : null;
+        } catch (error) {
+            console.error('❌ Error loading workflow:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Save the workflow statuses
+     * @param {Array} statuses - Ordered status names
+     * @returns {boolean} Success status
+     */
+    static saveWorkflow(statuses) {
+        try {
+            localStorage.setItem(this.WORKFLOW_KEY, JSON.stringify(statuses));
+            return true;
+        } catch (error) {
+            console.error('❌ Error saving workflow:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * FR10: Export all tasks to a file
      * @param {Array} tasks - Array of tasks to export
+     * @param {string} [format] - 'txt' (readable report), or any TaskFormats name
+     *                            ('json', 'csv', 'ics', 'markdown', 'html')
+     * @param {Object} [options] - Report options, e.g. { groupBy, description }
      */
-    static exportToFile(tasks) {
+    static exportToFile(tasks, format = 'txt', options = {}) {
         try {
+            const fileFormat = TaskFormats.get(format);
+            if (fileFormat) {
+                this.downloadFile(
+                    fileFormat.serialize(tasks, options),
+                    `tasks_export_${Date.now()}.${fileFormat.EXTENSION}`,
+                    fileFormat.MIME_TYPE
+                );
+                console.log(`✅ Tasks exported as ${format.toUpperCase()}`);
+                return true;
+            }
+            
             // Create readable text format (NFR3)
             let content = '═══════════════════════════════════════════════════\n';
             content += '       Smart Task Organizer - Tasks Export\n';
             content += '═══════════════════════════════════════════════════\n\n';
             content += `Export Date: ${new Date().toLocaleString('en-US')}\n`;
             content += `Total Tasks: ${tasks.length}\n`;
-            content += `Completed: ${tasks.filter(t => t.status === 'Completed').length}\n`;
-            content += `Pending: ${tasks.filter(t => t.status === 'ToDo').length}\n\n`;
+            content += `Completed: ${tasks.filter(t => Workflow.isCompleted(t)).length}\n`;
+            content += `Pending: ${tasks.filter(t => !Workflow.isCompleted(t)).length}\n`;
+            Workflow.getInstance().getStatuses().forEach(status => {
+                content += `  • ${status}: ${tasks.filter(t => t.status === status).length}\n`;
+            });
+            
+            const checklistItems = tasks.reduce((all, t) => all.concat(t.checklist || []), []);
+            if (checklistItems.length > 0) {
+                const doneItems = checklistItems.filter(item => item.done).length;
+                content += `Checklist Items: ${doneItems}/${checklistItems.length} done\n`;
+            }
+            const trackedMinutes = tasks.reduce((sum, t) => sum + TimeTracking.getTrackedMinutes(t), 0);
+            if (trackedMinutes > 0) {
+                content += `Time Logged: ${TimeTracking.formatMinutes(trackedMinutes)}\n`;
+            }
+            content += '\n';
             content += '═══════════════════════════════════════════════════\n\n';
             
             // Add each task
@@ -75,7 +403,34 @@ class StorageManager {
                 content += `🎯 Priority: ${task.priority}\n`;
                 content += `📅 Deadline: ${new Date(task.deadline).toLocaleString('en-US')}\n`;
                 content += `✓ Status: ${task.status}\n`;
+                content += `📁 Project: ${TaskManager.getInstance().projects.resolve(task.projectId).name}\n`;
+                if (task.tags && task.tags.length > 0) {
+                    content += `🏷️ Tags: ${task.tags.join(', ')}\n`;
+                }
+                if (task.recurrence) {
+                    content += `🔁 Repeats: ${RecurrenceRule.describe(task.recurrence)}\n`;
+                }
+                if (task.checklist && task.checklist.length > 0) {
+                    const done = task.checklist.filter(item => item.done).length;
+                    const percent = Math.round((done / task.checklist.length) * 100);
+                    content += `☑️ Checklist: ${done}/${task.checklist.length} (${percent}%)\n`;
+                    task.checklist.forEach(item => {
+                        content += `   [${item.done ? 'x' : ' '}] ${item.text}\n`;
+                    });
+                }
+                if (task.estimate || (task.timeLogs && task.timeLogs.length > 0)) {
+                    content += `⏱️ Time: ${TimeTracking.describe(task)}\n`;
+                    (task.timeLogs || []).forEach(log => {
+                        content += `   ${TimeTracking.describeLog(log)}\n`;
+                    });
+                }
                 content += `🕐 Created: ${new Date(task.createdAt).toLocaleString('en-US')}\n`;
+                if (task.activity && task.activity.length > 0) {
+                    content += `🕘 History:\n`;
+                    task.activity.forEach(entry => {
+                        content += `   ${ActivityLog.describe(entry)}\n`;
+                    });
+                }
                 content += `─────────────────────────────────────────────────\n\n`;
             });
             
@@ -83,16 +438,7 @@ class StorageManager {
             content += '            End of Export\n';
             content += '═══════════════════════════════════════════════════\n';
             
-            // Create and download file
-            const blob = new Blob([content], { type: 'text/plain;charset=utf-8' });
-            const url = URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = `tasks_export_${Date.now()}.txt`;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            URL.revokeObjectURL(url);
+            this.downloadFile(content, `tasks_export_${Date.now()}.txt`, 'text/plain;charset=utf-8');
             
             console.log('✅ Tasks exported successfully');
             return true;
@@ -105,11 +451,41 @@ class StorageManager {
     }
     
     /**
-     * Clear all tasks from storage (utility method)
+     * Create and download a file
+     * @param {string} content - File content
+     * @param {string} fileName - Suggested file name
+     * @param {string} mimeType - Content type
      */
-    static clearAll() {
+    static downloadFile(content, fileName, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Clear all tasks and history from storage (utility method)
+     * The stored tasks are kept as a safety snapshot first, and snapshots are never cleared
+     * @param {StorageAdapter} adapter - Opened storage backend
+     * @returns {Promise<boolean>} Success status
+     */
+    static async clearAll(adapter) {
         try {
-            localStorage.removeItem(this.STORAGE_KEY);
+            const payload = await adapter.load();
+            if (payload.tasks.length > 0) {
+                const snapshots = new SnapshotManager();
+                await snapshots.load(adapter);
+                snapshots.take('safety', TaskSchema.migrate(payload).tasks, 'Before clearing storage');
+                await snapshots.saving;
+            }
+            
+            await adapter.clear();
+            await this.saveHistory(adapter, { undo: [], redo: [] });
             console.log('✅ Storage cleared');
             return true;
         } catch (error) {
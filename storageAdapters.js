@@ -0,0 +1,344 @@
+/**
+ * Storage adapters - Where the task list is persisted
+ * Design Pattern: Adapter Pattern (with Strategy-style selection)
+ * Reason: TaskManager depends only on this interface, so the backend
+ * (localStorage, IndexedDB, memory) can change without touching it
+ *
+ * Every adapter is asynchronous and stores a payload { version, tasks }
+ * (schema version, see TaskSchema; plain task objects in list order):
+ *   open()         → Promise (prepare the backend)
+ *   load()         → Promise<Object> payload (version 1 for unversioned data)
+ *   save(payload)  → Promise<boolean>
+ *   clear()        → Promise<boolean>
+ *
+ * Adapters also keep named records beside the tasks (the undo history and
+ * the snapshots), so those are not bound to the localStorage quota either.
+ * clear() leaves them alone:
+ *   loadRecord(name)        → Promise (stored value, null when missing)
+ *   saveRecord(name, value) → Promise<boolean>
+ */
+
+/**
+ * Base Storage Adapter
+ */
+class StorageAdapter {
+    async open() {
+        return true;
+    }
+    
+    async load() {
+        throw new Error('load() method must be implemented');
+    }
+    
+    async save(payload) {
+        throw new Error('save() method must be implemented');
+    }
+    
+    async clear() {
+        throw new Error('clear() method must be implemented');
+    }
+    
+    async loadRecord(name) {
+        throw new Error('loadRecord() method must be implemented');
+    }
+    
+    async saveRecord(name, value) {
+        throw new Error('saveRecord() method must be implemented');
+    }
+}
+
+/**
+ * localStorage: the whole list as one readable JSON string (NFR3)
+ * Limited to ~5MB by the browser
+ */
+class LocalStorageAdapter extends StorageAdapter {
+    /**
+     * @param {string} [key] - Key of the task list
+     * @param {Object} [recordKeys] - Keys of the records by name (others use "<key>_<name>")
+     */
+    constructor(key = StorageManager.STORAGE_KEY, recordKeys = StorageManager.RECORD_KEYS) {
+        super();
+        this.key = key;
+        this.recordKeys = recordKeys;
+    }
+    
+    async load() {
+        try {
+            const data = localStorage.getItem(this.key);
+            
+            if (data) {
+                const parsed = JSON.parse(data);
+                // Before schema versions the key held a bare task array
+                const payload = Array.isArray(parsed) ? { version: 1, tasks: parsed } : parsed;
+                console.log(`✅ Loaded ${payload.tasks.length} tasks from localStorage`);
+                return payload;
+            }
+            
+            console.log('ℹ️ No saved tasks found');
+            return { version: TaskSchema.CURRENT_VERSION, tasks: [] };
+        
+        } catch (error) {
+            // Corrupted data: fail loudly so nothing overwrites it
+            console.error('❌ Error loading tasks:', error);
+            throw error;
+        }
+    }
+    
+    async save(payload) {
+        try {
+            // Convert tasks to JSON string (NFR3: readable format)
+            localStorage.setItem(this.key, JSON.stringify(payload, null, 2));
+            console.log(`✅ Saved ${payload.tasks.length} tasks to localStorage`);
+            return true;
+        } catch (error) {
+            console.error('❌ Error saving tasks:', error);
+            return false;
+        }
+    }
+    
+    async clear() {
+        localStorage.removeItem(this.key);
+        return true;
+    }
+    
+    recordKey(name) {
+        return this.recordKeys[name] || `${this.key}_${name}`;
+    }
+    
+    async loadRecord(name) {
+        const data = localStorage.getItem(this.recordKey(name));
+        return data ? JSON.parse(data) : null;
+    }
+    
+    async saveRecord(name, value) {
+        try {
+            // Compact JSON: snapshots can be large
+            localStorage.setItem(this.recordKey(name), JSON.stringify(value));
+            return true;
+        } catch (error) {
+            console.error(`❌ Error saving ${name}:`, error);
+            return false;
+        }
+    }
+}
+
+/**
+ * IndexedDB: one record per task, plus the list order and schema version
+ * Saves are incremental: only tasks that changed since the last write
+ * are put, removed tasks are deleted
+ */
+class IndexedDBAdapter extends StorageAdapter {
+    static DB_NAME = 'smart_task_organizer';
+    static DB_VERSION = 2; // 2: records store
+    static TASK_STORE = 'tasks';
+    static META_STORE = 'meta';
+    static RECORD_STORE = 'records';
+    static ORDER_KEY = 'order';
+    static VERSION_KEY = 'schemaVersion';
+    
+    constructor(dbName = IndexedDBAdapter.DB_NAME) {
+        super();
+        this.dbName = dbName;
+        this.db = null;
+        this.written = new Map(); // id → JSON of the stored record
+        this.writtenOrder = null; // JSON of the stored id order
+        this.writtenVersion = null; // Stored schema version
+        this.needsFullWrite = false; // after a failed write, rewrite everything
+    }
+    
+    /**
+     * Promise for a single IDBRequest
+     */
+    static request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    /**
+     * Promise resolved when the transaction is committed
+     */
+    static transactionDone(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+    
+    async open() {
+        if (this.db) {
+            return true;
+        }
+        
+        const request = indexedDB.open(this.dbName, IndexedDBAdapter.DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(IndexedDBAdapter.TASK_STORE)) {
+                db.createObjectStore(IndexedDBAdapter.TASK_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(IndexedDBAdapter.META_STORE)) {
+                db.createObjectStore(IndexedDBAdapter.META_STORE);
+            }
+            if (!db.objectStoreNames.contains(IndexedDBAdapter.RECORD_STORE)) {
+                db.createObjectStore(IndexedDBAdapter.RECORD_STORE);
+            }
+        };
+        
+        this.db = await IndexedDBAdapter.request(request);
+        console.log('✅ IndexedDB storage opened');
+        return true;
+    }
+    
+    async load() {
+        await this.open();
+        
+        const transaction = this.db.transaction(
+            [IndexedDBAdapter.TASK_STORE, IndexedDBAdapter.META_STORE], 'readonly');
+        const metaStore = transaction.objectStore(IndexedDBAdapter.META_STORE);
+        const [records, order, version] = await Promise.all([
+            IndexedDBAdapter.request(transaction.objectStore(IndexedDBAdapter.TASK_STORE).getAll()),
+            IndexedDBAdapter.request(metaStore.get(IndexedDBAdapter.ORDER_KEY)),
+            IndexedDBAdapter.request(metaStore.get(IndexedDBAdapter.VERSION_KEY))
+        ]);
+        
+        // Restore the list order (records missing from it go last)
+        const position = new Map((order || []).map((id, index) => [id, index]));
+        const tasks = records.sort((a, b) =>
+            (position.has(a.id) ? position.get(a.id) : Infinity) -
+            (position.has(b.id) ? position.get(b.id) : Infinity)
+        );
+        
+        this.written = new Map(tasks.map(task => [task.id, JSON.stringify(task)]));
+        this.writtenOrder = JSON.stringify(tasks.map(task => task.id));
+        this.writtenVersion = version || null;
+        this.needsFullWrite = false;
+        
+        console.log(`✅ Loaded ${tasks.length} tasks from IndexedDB`);
+        return { version: version || (tasks.length > 0 ? 1 : TaskSchema.CURRENT_VERSION), tasks };
+    }
+    
+    async save(payload) {
+        // Serialize now: the tasks may change again before the transaction runs
+        const records = new Map(payload.tasks.map(task => [task.id, JSON.stringify(task)]));
+        const order = JSON.stringify(payload.tasks.map(task => task.id));
+        
+        const fullWrite = this.needsFullWrite;
+        const changed = [...records].filter(([id, json]) => fullWrite || this.written.get(id) !== json);
+        const removed = [...this.written.keys()].filter(id => !records.has(id));
+        const orderChanged = fullWrite || order !== this.writtenOrder;
+        const versionChanged = fullWrite || payload.version !== this.writtenVersion;
+        
+        if (changed.length === 0 && removed.length === 0 && !orderChanged && !versionChanged) {
+            return true;
+        }
+        
+        this.written = records;
+        this.writtenOrder = order;
+        this.writtenVersion = payload.version;
+        this.needsFullWrite = false;
+        
+        try {
+            await this.open();
+            const transaction = this.db.transaction(
+                [IndexedDBAdapter.TASK_STORE, IndexedDBAdapter.META_STORE], 'readwrite');
+            const taskStore = transaction.objectStore(IndexedDBAdapter.TASK_STORE);
+            
+            if (fullWrite) {
+                taskStore.clear();
+            }
+            changed.forEach(([, json]) => taskStore.put(JSON.parse(json)));
+            removed.forEach(id => taskStore.delete(id));
+            const metaStore = transaction.objectStore(IndexedDBAdapter.META_STORE);
+            if (orderChanged) {
+                metaStore.put(JSON.parse(order), IndexedDBAdapter.ORDER_KEY);
+            }
+            if (versionChanged) {
+                metaStore.put(payload.version, IndexedDBAdapter.VERSION_KEY);
+            }
+            
+            await IndexedDBAdapter.transactionDone(transaction);
+            console.log(`✅ Saved ${changed.length} changed, ${removed.length} removed tasks to IndexedDB`);
+            return true;
+        
+        } catch (error) {
+            console.error('❌ Error saving tasks:', error);
+            this.needsFullWrite = true;
+            return false;
+        }
+    }
+    
+    async clear() {
+        await this.open();
+        const transaction = this.db.transaction(
+            [IndexedDBAdapter.TASK_STORE, IndexedDBAdapter.META_STORE], 'readwrite');
+        transaction.objectStore(IndexedDBAdapter.TASK_STORE).clear();
+        transaction.objectStore(IndexedDBAdapter.META_STORE).clear();
+        await IndexedDBAdapter.transactionDone(transaction);
+        
+        this.written = new Map();
+        this.writtenOrder = null;
+        this.writtenVersion = null;
+        return true;
+    }
+    
+    async loadRecord(name) {
+        await this.open();
+        const transaction = this.db.transaction(IndexedDBAdapter.RECORD_STORE, 'readonly');
+        const value = await IndexedDBAdapter.request(
+            transaction.objectStore(IndexedDBAdapter.RECORD_STORE).get(name));
+        return value === undefined ? null : value;
+    }
+    
+    async saveRecord(name, value) {
+        try {
+            await this.open();
+            const transaction = this.db.transaction(IndexedDBAdapter.RECORD_STORE, 'readwrite');
+            // Plain data only (commands and snapshots are class instances)
+            transaction.objectStore(IndexedDBAdapter.RECORD_STORE).put(JSON.parse(JSON.stringify(value)), name);
+            await IndexedDBAdapter.transactionDone(transaction);
+            return true;
+        } catch (error) {
+            console.error(`❌ Error saving ${name}:`, error);
+            return false;
+        }
+    }
+}
+
+/**
+ * In-memory storage: nothing survives a reload (tests, demos)
+ */
+class MemoryAdapter extends StorageAdapter {
+    /**
+     * @param {Object|Array} [data] - Initial payload, or a bare task array (version 1)
+     */
+    constructor(data = { version: TaskSchema.CURRENT_VERSION, tasks: [] }) {
+        super();
+        this.data = JSON.stringify(Array.isArray(data) ? { version: 1, tasks: data } : data);
+        this.records = new Map(); // name → JSON
+    }
+    
+    async load() {
+        return JSON.parse(this.data);
+    }
+    
+    async save(payload) {
+        this.data = JSON.stringify(payload);
+        return true;
+    }
+    
+    async clear() {
+        this.data = JSON.stringify({ version: TaskSchema.CURRENT_VERSION, tasks: [] });
+        return true;
+    }
+    
+    async loadRecord(name) {
+        return this.records.has(name) ? JSON.parse(this.records.get(name)) : null;
+    }
+    
+    async saveRecord(name, value) {
+        this.records.set(name, JSON.stringify(value));
+        return true;
+    }
+}
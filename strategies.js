@@ -36,10 +36,17 @@ class SortByDeadline extends SortStrategy {
  * Priority order: High > Medium > Low
  */
 class SortByPriority extends SortStrategy {
+    /**
+     * Position in Task.PRIORITIES (unknown priorities last)
+     */
+    static rank(priority) {
+        const index = Task.PRIORITIES.indexOf(priority);
+        return index === -1 ? Task.PRIORITIES.length : index;
+    }
+    
     sort(tasks) {
-        const priorityOrder = { 'High': 1, 'Medium': 2, 'Low': 3 };
         return [...tasks].sort((a, b) => {
-            return priorityOrder[a.priority] - priorityOrder[b.priority];
+            return SortByPriority.rank(a.priority) - SortByPriority.rank(b.priority);
         });
     }
 }
@@ -57,6 +64,77 @@ class SortByCreationDate extends SortStrategy {
     }
 }
 
+/**
+ * Multi-key sort with tie-breakers
+ * Keys are applied in order; later keys only break ties of earlier ones
+ * @example new CompositeSort([{ key: 'priority', direction: 'asc' }, { key: 'deadline', direction: 'desc' }])
+ */
+class CompositeSort extends SortStrategy {
+    // Ascending comparators for every sortable key
+    static COMPARATORS = {
+        priority: (a, b) => SortByPriority.rank(a.priority) - SortByPriority.rank(b.priority),
+        deadline: (a, b) => new Date(a.deadline) - new Date(b.deadline),
+        created: (a, b) => new Date(a.createdAt) - new Date(b.createdAt),
+        title: (a, b) => (a.title || '').localeCompare(b.title || '', undefined, { sensitivity: 'base' }),
+        status: (a, b) => {
+            // Workflow order (ToDo → ... → Completed)
+            const workflow = Workflow.getInstance();
+            return workflow.indexOf(a.status) - workflow.indexOf(b.status);
+        }
+    };
+    
+    // Natural direction when a key is picked (newest first for creation date)
+    static DEFAULT_DIRECTIONS = {
+        priority: 'asc',
+        deadline: 'asc',
+        created: 'desc',
+        title: 'asc',
+        status: 'asc',
+        dependencies: 'asc'
+    };
+    
+    /**
+     * @param {Array} keys - [{ key, direction: 'asc' | 'desc' }]
+     */
+    constructor(keys = []) {
+        super();
+        this.keys = keys.filter(k => CompositeSort.COMPARATORS[k.key]);
+    }
+    
+    sort(tasks) {
+        return [...tasks].sort((a, b) => {
+            for (const { key, direction } of this.keys) {
+                const result = CompositeSort.COMPARATORS[key](a, b);
+                if (result !== 0) {
+                    return direction === 'desc' ? -result : result;
+                }
+            }
+            return 0;
+        });
+    }
+}
+
+/**
+ * Dependency order: blockers before the tasks they block
+ * The tie-break sort decides the order wherever dependencies allow
+ */
+class SortTopological extends SortStrategy {
+    /**
+     * @param {SortStrategy} [tieBreak] - e.g. CompositeSort of the secondary keys
+     * @param {string} [direction] - 'desc' puts blocked tasks first
+     */
+    constructor(tieBreak = null, direction = 'asc') {
+        super();
+        this.tieBreak = tieBreak;
+        this.direction = direction;
+    }
+    
+    sort(tasks) {
+        const ordered = TaskDependencies.topologicalSort(this.tieBreak ? this.tieBreak.sort(tasks) : [...tasks]);
+        return this.direction === 'desc' ? ordered.reverse() : ordered;
+    }
+}
+
 // ============================================
 // FILTERING STRATEGIES
 // ============================================
@@ -84,7 +162,7 @@ class FilterAll extends FilterStrategy {
  */
 class FilterCompleted extends FilterStrategy {
     filter(tasks) {
-        return tasks.filter(task => task.status === 'Completed');
+        return tasks.filter(task => Workflow.isCompleted(task));
     }
 }
 
@@ -93,7 +171,7 @@ class FilterCompleted extends FilterStrategy {
  */
 class FilterNotCompleted extends FilterStrategy {
     filter(tasks) {
-        return tasks.filter(task => task.status !== 'Completed');
+        return tasks.filter(task => !Workflow.isCompleted(task));
     }
 }
 
@@ -110,11 +188,147 @@ class FilterHighPriority extends FilterStrategy {
  * Filter overdue tasks
  */
 class FilterOverdue extends FilterStrategy {
+    /**
+     * Single source of truth for "overdue" (cards, calendar, statistics)
+     */
+    static isOverdue(task, now = new Date()) {
+        return !Workflow.isCompleted(task) && new Date(task.deadline) < now;
+    }
+    
     filter(tasks) {
         const now = new Date();
+        return tasks.filter(task => FilterOverdue.isOverdue(task, now));
+    }
+}
+
+/**
+ * Ready to work on: not completed and no open blockers
+ */
+class FilterReady extends FilterStrategy {
+    /**
+     * @param {Array} [allTasks] - Where blockers are looked up (they may be filtered out
+     *                             of the list passed to filter()); default: that list
+     */
+    constructor(allTasks = null) {
+        super();
+        this.allTasks = allTasks;
+    }
+    
+    filter(tasks) {
+        const allTasks = this.allTasks || tasks;
+        return tasks.filter(task =>
+            !Workflow.isCompleted(task) && !TaskDependencies.isBlocked(task, allTasks)
+        );
+    }
+}
+
+/**
+ * Show only tasks in one workflow status (board column)
+ */
+class FilterByStatus extends FilterStrategy {
+    constructor(status) {
+        super();
+        this.status = status;
+    }
+    
+    filter(tasks) {
+        return tasks.filter(task => task.status === this.status);
+    }
+}
+
+/**
+ * Filter by tags
+ * mode 'any': task has at least one of the tags
+ * mode 'all': task has every tag
+ */
+class FilterByTags extends FilterStrategy {
+    constructor(tags = [], mode = 'any') {
+        super();
+        this.tags = tags.map(tag => tag.toLowerCase());
+        this.mode = mode;
+    }
+    
+    filter(tasks) {
+        if (this.tags.length === 0) {
+            return tasks;
+        }
         return tasks.filter(task => {
-            return task.status !== 'Completed' && new Date(task.deadline) < now;
+            const taskTags = task.tags || [];
+            return this.mode === 'all'
+                ? this.tags.every(tag => taskTags.includes(tag))
+                : this.tags.some(tag => taskTags.includes(tag));
+        });
+    }
+}
+
+/**
+ * Filter by a search box query (see SearchQuery for the syntax)
+ */
+class FilterBySearch extends FilterStrategy {
+    constructor(query = '') {
+        super();
+        this.query = query instanceof SearchQuery ? query : new SearchQuery(query);
+    }
+    
+    filter(tasks) {
+        if (this.query.isEmpty()) {
+            return tasks;
+        }
+        return tasks.filter(task => this.query.matches(task));
+    }
+}
+
+// ============================================
+// FILTER COMBINATORS
+// ============================================
+
+/**
+ * Tasks matching every inner strategy ("overdue AND high priority")
+ */
+class AndFilter extends FilterStrategy {
+    constructor(strategies = []) {
+        super();
+        this.strategies = strategies;
+    }
+    
+    filter(tasks) {
+        return this.strategies.reduce((result, strategy) => strategy.filter(result), tasks);
+    }
+}
+
+/**
+ * Tasks matching at least one inner strategy (keeps original order)
+ */
+class OrFilter extends FilterStrategy {
+    constructor(strategies = []) {
+        super();
+        this.strategies = strategies;
+    }
+    
+    filter(tasks) {
+        if (this.strategies.length === 0) {
+            return tasks;
+        }
+        const matched = new Set();
+        this.strategies.forEach(strategy => {
+            strategy.filter(tasks).forEach(task => matched.add(task));
         });
+        return tasks.filter(task => matched.has(task));
+    }
+}
+
+/**
+ * Tasks NOT matching the inner strategy
+ */
+class NotFilter extends FilterStrategy {
+    constructor(strategy) {
+        super();
+        this.strategy = strategy;
+    }
+    
+    filter(tasks) {
+        const excluded = new Set(this.strategy.filter(tasks));
+        return tasks.filter(task => !excluded.has(task));
     }
 }
 
@@ -137,6 +351,17 @@ class TaskSorter {
         this.strategy = strategy;
     }
     
+    /**
+     * Sort by several keys, e.g. [{ key: 'priority', direction: 'asc' }, { key: 'deadline', direction: 'asc' }]
+     */
+    setSortKeys(keys) {
+        // Dependency order is not a pairwise comparison: it wraps the other keys
+        const [primary, ...rest] = keys;
+        this.strategy = primary && primary.key === 'dependencies'
+            ? new SortTopological(new CompositeSort(rest), primary.direction)
+            : new CompositeSort(keys);
+    }
+    
     /**
      * Execute the sorting
      */
@@ -191,7 +416,12 @@ class StrategyFactory {
         }
     }
     
-    static getFilterStrategy(type) {
+    /**
+     * @param {string} type - Filter type
+     * @param {Object} [options] - Extra settings, e.g. { tags, tagMode } for 'tags', { query } for 'search',
+     *                             { allTasks } for 'ready'
+     */
+    static getFilterStrategy(type, options = {}) {
         switch(type) {
             case 'all':
                 return new FilterAll();
@@ -203,8 +433,40 @@ class StrategyFactory {
                 return new FilterHighPriority();
             case 'overdue':
                 return new FilterOverdue();
+            case 'ready':
+                return new FilterReady(options.allTasks);
+            case 'tags':
+                return new FilterByTags(options.tags || [], options.tagMode);
+            case 'search':
+                return new FilterBySearch(options.query || '');
+            case 'status':
+                return new FilterByStatus(options.status);
             default:
                 return new FilterAll();
         }
     }
+    
+    /**
+     * Build a combined filter from a serializable spec
+     * @param {Object} spec - { match: 'all' | 'any', conditions: [{ type, negate, value }] }
+     *   value holds the tags ('tags') or the query ('search')
+     * @param {Object} [options] - Shared settings, e.g. { allTasks }
+     * @returns {FilterStrategy} AndFilter / OrFilter of the (negated) conditions
+     */
+    static fromSpec(spec, options = {}) {
+        const conditions = (spec && spec.conditions) || [];
+        const strategies = conditions.map(condition => {
+            const strategy = this.getFilterStrategy(condition.type, {
+                ...options,
+                tags: TaskFactory.normalizeTags(condition.value || ''),
+                tagMode: condition.tagMode,
+                query: condition.value || ''
+            });
+            return condition.negate ? new NotFilter(strategy) : strategy;
+        });
+        
+        return spec && spec.match === 'any'
+            ? new OrFilter(strategies)
+            : new AndFilter(strategies);
+    }
 }
\ No newline at end of file
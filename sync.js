@@ -0,0 +1,97 @@
+/**
+ * TabSync - Sends task changes to the other open tabs of the app
+ * Uses BroadcastChannel, or localStorage "storage" events in browsers without it
+ *
+ * Every message carries { tabId, sentAt } and one of:
+ *   changes: [{ id, before, after, beforeIndex, afterIndex }]
+ *            the changes of one command, in the TaskCommand format
+ *   workflow: ['ToDo', ..., 'Completed']
+ *            the new workflow statuses (the moved tasks follow as changes)
+ *   history: true
+ *            the undo history, stored once for all tabs, was saved
+ * "before.updatedAt" tells the receiver which version of the task was edited,
+ * which is how TaskManager.applyRemoteChanges detects conflicts
+ */
+class TabSync {
+    static CHANNEL_NAME = 'smart_task_organizer_sync';
+    static STORAGE_KEY = 'smart_task_organizer_sync';
+    
+    /**
+     * @param {Function} onMessage - Called with every message from another tab
+     */
+    constructor(onMessage) {
+        this.tabId = `tab_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.onMessage = onMessage;
+        this.channel = null;
+        
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(TabSync.CHANNEL_NAME);
+            this.channel.onmessage = (event) => this.receive(event.data);
+        } else {
+            this.storageListener = (event) => {
+                if (event.key === TabSync.STORAGE_KEY && event.newValue) {
+                    this.receive(JSON.parse(event.newValue));
+                }
+            };
+            window.addEventListener('storage', this.storageListener);
+        }
+    }
+    
+    /**
+     * Send changes to the other tabs
+     * @param {Array} changes - TaskCommand changes
+     */
+    publish(changes) {
+        if (!changes || changes.length === 0) {
+            return;
+        }
+        this.send({ changes });
+    }
+    
+    /**
+     * Send new workflow statuses to the other tabs
+     * @param {Array} statuses - Ordered status names
+     */
+    publishWorkflow(statuses) {
+        this.send({ workflow: statuses });
+    }
+    
+    /**
+     * Tell the other tabs to reload the stored undo history
+     */
+    publishHistory() {
+        this.send({ history: true });
+    }
+    
+    send(content) {
+        const message = { tabId: this.tabId, sentAt: new Date().toISOString(), ...content };
+        try {
+            if (this.channel) {
+                this.channel.postMessage(message);
+            } else {
+                // The storage event fires in the other tabs only
+                localStorage.setItem(TabSync.STORAGE_KEY, JSON.stringify(message));
+            }
+        } catch (error) {
+            console.error('❌ Error sending changes to other tabs:', error);
+        }
+    }
+    
+    receive(message) {
+        if (!message || message.tabId === this.tabId) {
+            return;
+        }
+        if (!Array.isArray(message.changes) && !Array.isArray(message.workflow) && message.history !== true) {
+            return;
+        }
+        this.onMessage(message);
+    }
+    
+    close() {
+        if (this.channel) {
+            this.channel.close();
+        } else {
+            window.removeEventListener('storage', this.storageListener);
+        }
+    }
+}
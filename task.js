@@ -1,17 +1,46 @@
 /**
  * Task Class - Represents a single task
  * Implements FR1: Task creation with title, description, deadline, priority
- * Implements FR5: Default status is 'ToDo'
+ * Implements FR5: Default status is the first workflow status ('ToDo')
  */
 class Task {
+    static PRIORITIES = ['High', 'Medium', 'Low']; // Highest first
+    
     constructor(id, title, description, deadline, priority) {
         this.id = id;
         this.title = title;
         this.description = description;
         this.deadline = deadline;
         this.priority = priority; // High, Medium, Low
-        this.status = 'ToDo'; // FR5: Default status
+        this.status = Workflow.getInstance().getInitialStatus(); // FR5: Default status
         this.createdAt = new Date().toISOString();
+        this.updatedAt = this.createdAt; // Set on every change (multi-tab conflict detection)
+        this.recurrence = null; // See RecurrenceRule
+        this.nextOccurrenceId = null; // Set once the next occurrence was spawned
+        this.checklist = []; // [{ id, text, done }]
+        this.autoComplete = false; // Complete the task when all checklist items are done
+        this.tags = []; // Lowercase labels, e.g. ['frontend', 'billing']
+        this.reminders = []; // Minutes before the deadline, e.g. [1440, 60] (see ReminderScheduler)
+        this.completedAt = null; // Set when the task reaches the done status (statistics)
+        this.activity = []; // Field-level change history (see ActivityLog)
+        this.blockedBy = []; // Ids of the tasks that must be completed first (see TaskDependencies)
+        this.projectId = ProjectManager.DEFAULT_ID; // Owning project (see ProjectManager)
+        this.estimate = null; // Expected effort in minutes (see TimeTracking)
+        this.timeLogs = []; // Work sessions [{ start, end }], end null while the timer runs
+    }
+    
+    /**
+     * Checklist progress roll-up
+     * @returns {Object} { done, total, percent }
+     */
+    getChecklistProgress() {
+        const total = this.checklist.length;
+        const done = this.checklist.filter(item => item.done).length;
+        return {
+            done,
+            total,
+            percent: total === 0 ? 0 : Math.round((done / total) * 100)
+        };
     }
 }
 
@@ -27,12 +56,100 @@ class TaskFactory {
      * @param {string} description - Task description
      * @param {string} deadline - Task deadline
      * @param {string} priority - Task priority (High/Medium/Low)
+     * @param {Object} [details] - Optional extra fields (recurrence, checklist, autoComplete, tags, reminders, blockedBy, projectId, estimate)
      * @returns {Task} New task instance
      */
-    static createTask(title, description, deadline, priority) {
-        // Generate unique ID using timestamp
-        const id = `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        return new Task(id, title, description, deadline, priority);
+    static createTask(title, description, deadline, priority, details = {}) {
+        const task = new Task(this.generateId(), title, description, deadline, priority);
+        task.recurrence = RecurrenceRule.normalize(details.recurrence);
+        task.checklist = (details.checklist || []).map(item =>
+            this.createChecklistItem(typeof item === 'string' ? item : item.text)
+        );
+        task.autoComplete = !!details.autoComplete;
+        task.tags = this.normalizeTags(details.tags);
+        task.reminders = this.normalizeReminders(details.reminders);
+        task.blockedBy = this.normalizeBlockedBy(details.blockedBy, task.id);
+        task.projectId = details.projectId || task.projectId;
+        task.estimate = TimeTracking.normalizeEstimate(details.estimate);
+        return task;
+    }
+    
+    /**
+     * Generate a unique task ID using timestamp
+     */
+    static generateId() {
+        return `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+    
+    /**
+     * Clean a list of tags: trimmed, lowercase, without '#', no duplicates
+     * @param {Array|string} tags - Array of tags or comma-separated string
+     * @returns {Array} Normalized tags
+     */
+    static normalizeTags(tags) {
+        const list = typeof tags === 'string' ? tags.split(',') : (tags || []);
+        const normalized = list
+            .map(tag => String(tag).trim().replace(/^#+/, '').toLowerCase())
+            .filter(tag => tag.length > 0);
+        return [...new Set(normalized)];
+    }
+    
+    /**
+     * Clean a list of reminder offsets: whole minutes > 0, no duplicates, earliest reminder first
+     * @param {Array} reminders - Minutes before the deadline
+     * @returns {Array} Normalized offsets
+     */
+    static normalizeReminders(reminders) {
+        const offsets = (Array.isArray(reminders) ? reminders : [])
+            .map(minutes => parseInt(minutes, 10))
+            .filter(minutes => minutes > 0);
+        return [...new Set(offsets)].sort((a, b) => b - a);
+    }
+    
+    /**
+     * Clean a list of blocker ids: no duplicates, not the task itself
+     * @param {Array} ids - Task ids
+     * @param {string} taskId - The blocked task
+     * @returns {Array} Normalized ids
+     */
+    static normalizeBlockedBy(ids, taskId) {
+        const list = (Array.isArray(ids) ? ids : [])
+            .map(id => String(id))
+            .filter(id => id && id !== taskId);
+        return [...new Set(list)];
+    }
+    
+    /**
+     * Creates a new (unticked) checklist item
+     * @param {string} text - Item text
+     * @returns {Object} { id, text, done }
+     */
+    static createChecklistItem(text) {
+        const id = `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        return { id, text, done: false };
+    }
+    
+    /**
+     * Creates the next occurrence of a recurring task
+     * @param {Task} task - Completed recurring task
+     * @returns {Task|null} Next occurrence, or null if the series has ended
+     */
+    static createNextOccurrence(task) {
+        const nextDeadline = RecurrenceRule.getNextDeadline(task.recurrence, task.deadline);
+        if (!nextDeadline) {
+            return null;
+        }
+        
+        // Checklist items are carried over, unticked; logged time is not
+        return this.createTask(task.title, task.description, nextDeadline, task.priority, {
+            recurrence: { ...task.recurrence, occurrence: task.recurrence.occurrence + 1 },
+            checklist: task.checklist,
+            autoComplete: task.autoComplete,
+            tags: task.tags,
+            reminders: task.reminders,
+            projectId: task.projectId,
+            estimate: task.estimate
+        });
     }
     
     /**
@@ -41,15 +158,40 @@ class TaskFactory {
      * @returns {Task} Task instance
      */
     static fromObject(taskData) {
+        // Imported data may omit the id, status or creation date: keep the defaults
         const task = new Task(
-            taskData.id,
+            taskData.id || this.generateId(),
             taskData.title,
-            taskData.description,
+            taskData.description || '',
             taskData.deadline,
             taskData.priority
         );
-        task.status = taskData.status;
-        task.createdAt = taskData.createdAt;
+        task.status = taskData.status || task.status;
+        task.createdAt = taskData.createdAt || task.createdAt;
+        task.updatedAt = taskData.updatedAt || task.createdAt;
+        task.recurrence = RecurrenceRule.normalize(taskData.recurrence);
+        task.nextOccurrenceId = taskData.nextOccurrenceId || null;
+        task.checklist = (taskData.checklist || []).map(item => ({
+            id: item.id || this.createChecklistItem(item.text).id,
+            text: item.text,
+            done: !!item.done
+        }));
+        task.autoComplete = !!taskData.autoComplete;
+        task.tags = this.normalizeTags(taskData.tags);
+        task.reminders = this.normalizeReminders(taskData.reminders);
+        task.completedAt = taskData.completedAt || null;
+        task.activity = Array.isArray(taskData.activity) ? taskData.activity : [];
+        task.blockedBy = this.normalizeBlockedBy(taskData.blockedBy, task.id);
+        task.projectId = taskData.projectId || task.projectId;
+        task.estimate = TimeTracking.normalizeEstimate(taskData.estimate);
+        task.timeLogs = TimeTracking.normalizeLogs(taskData.timeLogs);
+        
+        // Keep properties this version does not know about (e.g. saved by a newer version)
+        Object.keys(taskData).forEach(key => {
+            if (!(key in task)) {
+                task[key] = taskData[key];
+            }
+        });
         return task;
     }
 }
\ No newline at end of file
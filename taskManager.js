@@ -4,9 +4,13 @@
  * Reason: Ensures single source of truth for all tasks
  * Design Pattern: Observer Pattern
  * Reason: Notifies UI automatically when tasks change
+ * Design Pattern: Command Pattern
+ * Reason: Every mutation is recorded so it can be undone/redone
  */
 class TaskManager {
     static instance = null;
+    static TREND_DAYS = 14; // Statistics: completed per day
+    static TREND_WEEKS = 8; // Statistics: completed per week, completion rate
     
     constructor() {
         // Singleton: Return existing instance if already created
@@ -16,6 +20,17 @@ class TaskManager {
         
         this.tasks = [];
         this.observers = []; // Observer pattern
+        this.history = new HistoryManager(); // Command pattern
+        this.commandDepth = 0; // Nesting level of executeCommand()
+        this.storage = null; // StorageAdapter, opened by loadTasks()
+        this.sync = null; // TabSync, see startSync()
+        this.snapshots = new SnapshotManager(); // Automatic backups
+        this.activityLog = new ActivityLog(); // Activity of deleted tasks
+        this.projects = new ProjectManager(); // Projects owning the tasks
+        this.loadError = null; // Set when stored tasks could not be loaded: saving is then refused
+        this.onSaveError = null; // Called with a message when tasks, history or snapshots cannot be saved
+        this.history.onSaveError = message => this.reportSaveError(message);
+        this.snapshots.onSaveError = message => this.reportSaveError(message);
         TaskManager.instance = this;
     }
     
@@ -62,15 +77,327 @@ class TaskManager {
         });
     }
     
+    // ============================================
+    // COMMAND PATTERN METHODS
+    // ============================================
+    
+    /**
+     * Run a mutation, record it in the undo history, then save and notify
+     * Nested calls are merged into the outermost command
+     * @param {string} label - Description shown in the undo toast
+     * @param {Function} mutate - Function that changes this.tasks
+     * @param {Object} [workflow] - { before, after } statuses when the command also changes the workflow
+     * @returns {*} Whatever mutate() returns
+     */
+    executeCommand(label, mutate, workflow = null) {
+        if (this.commandDepth > 0) {
+            return mutate();
+        }
+        
+        const before = this.snapshotTasks();
+        this.commandDepth++;
+        let result;
+        try {
+            result = mutate();
+        } finally {
+            this.commandDepth--;
+        }
+        
+        const command = this.diffSince(label, before);
+        command.workflow = workflow;
+        this.recordActivity(command);
+        if (!command.isEmpty()) {
+            this.history.record(command);
+            this.publishHistory();
+        }
+        
+        // FR8: Auto-save
+        this.saveTasks();
+        this.publishChanges(command);
+        
+        // Notify observers
+        this.notifyObservers();
+        
+        return result;
+    }
+    
+    /**
+     * Plain-object copy of the current task list
+     */
+    snapshotTasks() {
+        return JSON.parse(JSON.stringify(this.tasks));
+    }
+    
+    /**
+     * Compare the tasks with an earlier snapshot and stamp updatedAt on every changed task
+     * @param {string} label - Command label
+     * @param {Array} before - Snapshot taken before the change
+     * @returns {TaskCommand} The changes (after states include the new updatedAt)
+     */
+    diffSince(label, before) {
+        const command = TaskCommand.fromSnapshots(label, before, this.snapshotTasks());
+        const now = new Date().toISOString();
+        
+        command.changes.forEach(change => {
+            if (change.after) {
+                this.getTaskById(change.id).updatedAt = now;
+                change.after.updatedAt = now;
+            }
+        });
+        
+        return command;
+    }
+    
+    /**
+     * Append an activity entry to every task the command changed
+     * (undo/redo restore the activity instead of logging themselves)
+     * @param {TaskCommand} command - Changes from diffSince, after states are updated too
+     */
+    recordActivity(command) {
+        command.changes.forEach(change => {
+            if (!change.after) {
+                this.activityLog.recordDeleted(change.before);
+                return;
+            }
+            
+            const entry = ActivityLog.createEntry(change.before, change.after, change.after.updatedAt);
+            if (entry) {
+                const task = this.getTaskById(change.id);
+                task.activity = ActivityLog.append(task.activity, entry);
+                change.after.activity = JSON.parse(JSON.stringify(task.activity));
+            }
+        });
+    }
+    
+    /**
+     * Activity of deleted tasks, newest first
+     */
+    getDeletedActivity() {
+        return this.activityLog.getDeleted(this.tasks);
+    }
+    
+    /**
+     * Undo the last recorded mutation
+     * @returns {TaskCommand|null} The undone command
+     */
+    undo() {
+        const command = this.history.undo();
+        if (!command) {
+            return null;
+        }
+        
+        if (command.workflow) {
+            this.applyWorkflowStatuses(command.workflow.before);
+        }
+        const before = this.snapshotTasks();
+        this.tasks = command.undo(this.tasks);
+        this.publishChanges(this.diffSince(`Undo ${command.label}`, before));
+        this.publishHistory();
+        this.saveTasks();
+        this.notifyObservers();
+        
+        console.log('↩️ Undone:', command.label);
+        return command;
+    }
+    
+    /**
+     * Redo the last undone mutation
+     * @returns {TaskCommand|null} The redone command
+     */
+    redo() {
+        const command = this.history.redo();
+        if (!command) {
+            return null;
+        }
+        
+        if (command.workflow) {
+            this.applyWorkflowStatuses(command.workflow.after);
+        }
+        const before = this.snapshotTasks();
+        this.tasks = command.redo(this.tasks);
+        this.publishChanges(this.diffSince(`Redo ${command.label}`, before));
+        this.publishHistory();
+        this.saveTasks();
+        this.notifyObservers();
+        
+        console.log('↪️ Redone:', command.label);
+        return command;
+    }
+    
+    canUndo() {
+        return this.history.canUndo();
+    }
+    
+    canRedo() {
+        return this.history.canRedo();
+    }
+    
+    // ============================================
+    // MULTI-TAB SYNC
+    // ============================================
+    
+    /**
+     * Exchange changes with the other open tabs
+     * @param {Function} [onConflict] - Called with [{ id, title, kept: 'local' | 'remote' }]
+     *                                  when a task was changed in both tabs
+     */
+    startSync(onConflict = null) {
+        if (this.sync) {
+            return;
+        }
+        this.onSyncConflict = onConflict;
+        this.sync = new TabSync(message => {
+            if (message.workflow) {
+                this.applyRemoteWorkflow(message.workflow);
+            }
+            if (message.history && this.storage) {
+                this.history.load(this.storage);
+            }
+            if (message.changes) {
+                const conflicts = this.applyRemoteChanges(message.changes);
+                if (conflicts.length > 0 && this.onSyncConflict) {
+                    this.onSyncConflict(conflicts);
+                }
+            }
+        });
+        console.log('✅ Multi-tab sync started');
+    }
+    
+    publishChanges(command) {
+        if (this.sync && !command.isEmpty()) {
+            this.sync.publish(command.changes);
+        }
+    }
+    
+    /**
+     * Let the other tabs reload the undo history once it is written,
+     * so they do not save their stale copy over it
+     */
+    publishHistory() {
+        if (!this.sync) {
+            return;
+        }
+        this.history.saving.then(saved => {
+            if (saved && this.sync) {
+                this.sync.publishHistory();
+            }
+        });
+    }
+    
+    /**
+     * Replace the workflow statuses here and in the other open tabs
+     * @param {Array} statuses - Ordered status names
+     */
+    applyWorkflowStatuses(statuses) {
+        const workflow = Workflow.getInstance();
+        workflow.setStatuses(statuses);
+        if (this.sync) {
+            this.sync.publishWorkflow(workflow.getStatuses());
+        }
+    }
+    
+    /**
+     * Take over workflow statuses changed in another tab
+     * (the tasks it moved arrive as regular changes)
+     * @param {Array} statuses - Ordered status names
+     */
+    applyRemoteWorkflow(statuses) {
+        try {
+            Workflow.getInstance().setStatuses(statuses);
+            this.notifyObservers();
+            console.log('🔄 Workflow changed in another tab');
+        } catch (error) {
+            console.error('❌ Error applying workflow from another tab:', error);
+        }
+    }
+    
+    /**
+     * Merge changes made in another tab (not recorded in the undo history)
+     * A change applies cleanly when the local task is still the version the
+     * other tab edited (same updatedAt). Otherwise both tabs changed it:
+     * the newer updatedAt wins, and an edit always wins over a delete, so
+     * every tab resolves the conflict the same way
+     * @param {Array} changes - TaskCommand changes from TabSync
+     * @returns {Array} Conflicts [{ id, title, kept }]
+     */
+    applyRemoteChanges(changes) {
+        const conflicts = [];
+        let changed = false;
+        
+        changes.forEach(change => {
+            const index = this.tasks.findIndex(task => task.id === change.id);
+            const local = index !== -1 ? this.tasks[index] : null;
+            const baseVersion = change.before ? change.before.updatedAt : null;
+            
+            // Remote delete
+            if (!change.after) {
+                if (!local) return;
+                if (local.updatedAt === baseVersion) {
+                    this.tasks.splice(index, 1);
+                    changed = true;
+                } else {
+                    conflicts.push({ id: local.id, title: local.title, kept: 'local' });
+                }
+                return;
+            }
+            
+            const remote = TaskFactory.fromObject(change.after);
+            
+            // Remote create (or an edit of a task deleted here: the edit wins)
+            if (!local) {
+                if (change.before) {
+                    conflicts.push({ id: remote.id, title: remote.title, kept: 'remote' });
+                }
+                this.tasks.splice(Math.min(Math.max(change.afterIndex, 0), this.tasks.length), 0, remote);
+                changed = true;
+                return;
+            }
+            
+            if (JSON.stringify(local) === JSON.stringify(remote)) {
+                return; // Already up to date
+            }
+            
+            const clean = local.updatedAt === baseVersion;
+            if (clean || TaskManager.isNewer(remote, local)) {
+                this.tasks[index] = remote;
+                changed = true;
+            }
+            if (!clean) {
+                conflicts.push({ id: local.id, title: local.title, kept: this.tasks[index] === remote ? 'remote' : 'local' });
+            }
+        });
+        
+        if (changed) {
+            this.saveTasks();
+            this.notifyObservers();
+            console.log(`🔄 Merged ${changes.length} change(s) from another tab`);
+        }
+        if (conflicts.length > 0) {
+            console.warn('⚠️ Sync conflicts:', conflicts);
+        }
+        return conflicts;
+    }
+    
+    /**
+     * Deterministic "newer version" check (ties broken by content)
+     */
+    static isNewer(taskA, taskB) {
+        if (taskA.updatedAt !== taskB.updatedAt) {
+            return (taskA.updatedAt || '') > (taskB.updatedAt || '');
+        }
+        return JSON.stringify(taskA) > JSON.stringify(taskB);
+    }
+    
     // ============================================
     // CRUD OPERATIONS
     // ============================================
     
     /**
      * FR1: Create a new task
+     * @param {Object} [details] - Optional extra fields (recurrence, projectId, ...)
      * @returns {Task} Created task
      */
-    createTask(title, description, deadline, priority) {
+    createTask(title, description, deadline, priority, details = {}) {
         try {
             // Validate inputs
             if (!title || !deadline || !priority) {
@@ -78,16 +405,14 @@ class TaskManager {
             }
             
             // Create task using Factory Pattern
-            const task = TaskFactory.createTask(title, description, deadline, priority);
+            const task = TaskFactory.createTask(title, description, deadline, priority, details);
+            task.blockedBy = this.checkBlockers(task.id, task.blockedBy);
+            task.projectId = this.projects.resolve(task.projectId).id;
             
-            // Add to tasks array
-            this.tasks.push(task);
-            
-            // FR8: Auto-save
-            this.saveTasks();
-            
-            // Notify observers
-            this.notifyObservers();
+            // Add to tasks array (auto-saves and notifies)
+            this.executeCommand(`Create "${title}"`, () => {
+                this.tasks.push(task);
+            });
             
             console.log('✅ Task created:', task.title);
             return task;
@@ -100,6 +425,7 @@ class TaskManager {
     
     /**
      * FR2: Update an existing task
+     * Moving a task into the workflow's done status runs the completion hooks
      */
     updateTask(id, updates) {
         try {
@@ -109,14 +435,27 @@ class TaskManager {
                 throw new Error('Task not found');
             }
             
-            // Update task properties
-            Object.assign(task, updates);
-            
-            // FR8: Auto-save
-            this.saveTasks();
+            if (updates.blockedBy) {
+                updates = { ...updates, blockedBy: this.checkBlockers(id, updates.blockedBy) };
+            }
+            if (updates.projectId) {
+                updates = { ...updates, projectId: this.projects.resolve(updates.projectId).id };
+            }
+            if ('estimate' in updates) {
+                updates = { ...updates, estimate: TimeTracking.normalizeEstimate(updates.estimate) };
+            }
             
-            // Notify observers
-            this.notifyObservers();
+            // Update task properties (auto-saves and notifies)
+            this.executeCommand(`Update "${task.title}"`, () => {
+                const wasCompleted = Workflow.isCompleted(task);
+                Object.assign(task, updates);
+                
+                if (!wasCompleted && Workflow.isCompleted(task)) {
+                    this.onTaskCompleted(task);
+                } else if (wasCompleted && !Workflow.isCompleted(task)) {
+                    task.completedAt = null;
+                }
+            });
             
             console.log('✅ Task updated:', task.title);
             return task;
@@ -138,13 +477,16 @@ class TaskManager {
                 throw new Error('Task not found');
             }
             
-            const deletedTask = this.tasks.splice(index, 1)[0];
-            
-            // FR8: Auto-save
-            this.saveTasks();
-            
-            // Notify observers
-            this.notifyObservers();
+            // Remove task (auto-saves and notifies)
+            const deletedTask = this.executeCommand(`Delete "${this.tasks[index].title}"`, () => {
+                // Tasks it was blocking no longer wait for it
+                this.tasks.forEach(task => {
+                    if (task.blockedBy.includes(id)) {
+                        task.blockedBy = task.blockedBy.filter(blockerId => blockerId !== id);
+                    }
+                });
+                return this.tasks.splice(index, 1)[0];
+            });
             
             console.log('✅ Task deleted:', deletedTask.title);
             return true;
@@ -170,11 +512,29 @@ class TaskManager {
     }
     
     /**
-     * FR6: Mark task as completed
+     * All tags used by any task (for autocomplete and filters)
+     * @returns {Array} Sorted unique tags
+     */
+    getAllTags() {
+        const tags = new Set();
+        this.tasks.forEach(task => task.tags.forEach(tag => tags.add(tag)));
+        return [...tags].sort();
+    }
+    
+    /**
+     * FR6: Mark task as completed (moves it to the workflow's done status)
      */
     markAsCompleted(id) {
         try {
-            const task = this.updateTask(id, { status: 'Completed' });
+            const title = this.getTaskById(id)?.title;
+            const openBlockers = this.getOpenBlockers(id);
+            if (openBlockers.length > 0) {
+                // Allowed, but callers should confirm first (see App.confirmCompletion)
+                console.warn(`⚠️ Completing "${title}" while it is blocked by:`, openBlockers.map(t => t.title));
+            }
+            const task = this.executeCommand(`Complete "${title}"`, () => {
+                return this.updateTask(id, { status: Workflow.getInstance().getDoneStatus() });
+            });
             console.log('✅ Task marked as completed:', task.title);
             return task;
         } catch (error) {
@@ -183,12 +543,79 @@ class TaskManager {
         }
     }
     
+    /**
+     * Tasks blocking this one that are not completed yet
+     * @param {string} id - Task ID
+     * @returns {Array} Open blocker tasks
+     */
+    getOpenBlockers(id) {
+        const task = this.getTaskById(id);
+        return task ? TaskDependencies.getOpenBlockers(task, this.tasks) : [];
+    }
+    
+    /**
+     * Validate the blockers of a task
+     * @param {string} id - Blocked task
+     * @param {Array} blockerIds - Ids of the tasks it waits for
+     * @returns {Array} Normalized ids
+     * @throws {Error} When a blocker does not exist or the relation would create a cycle
+     */
+    checkBlockers(id, blockerIds) {
+        const ids = TaskFactory.normalizeBlockedBy(blockerIds, id);
+        const missing = ids.find(blockerId => !this.getTaskById(blockerId));
+        if (missing) {
+            throw new Error(`Blocking task not found: ${missing}`);
+        }
+        
+        const cycle = TaskDependencies.findCycle(this.tasks, id, ids);
+        if (cycle) {
+            const titles = cycle.map(taskId => `"${this.getTaskById(taskId).title}"`);
+            throw new Error(`Circular dependency: ${titles.join(' → ')}`);
+        }
+        return ids;
+    }
+    
+    /**
+     * Hook: a task has just reached the done status
+     * Records the completion time and stops its timer; recurring tasks spawn
+     * their next occurrence (once per task)
+     */
+    onTaskCompleted(task) {
+        task.completedAt = new Date().toISOString();
+        this.closeTimeLog(task, new Date(task.completedAt));
+        this.spawnNextOccurrence(task);
+    }
+    
+    /**
+     * Create the next occurrence of a recurring task via TaskFactory
+     * @returns {Task|null} The new occurrence
+     */
+    spawnNextOccurrence(task) {
+        if (!task.recurrence || task.nextOccurrenceId) {
+            return null;
+        }
+        
+        const next = TaskFactory.createNextOccurrence(task);
+        if (!next) {
+            return null;
+        }
+        
+        this.tasks.push(next);
+        task.nextOccurrenceId = next.id;
+        console.log('🔁 Next occurrence created:', next.title, next.deadline);
+        return next;
+    }
+    
     /**
      * Mark task as not completed (bonus feature)
+     * Moves it back to the workflow's initial status
      */
     markAsNotCompleted(id) {
         try {
-            const task = this.updateTask(id, { status: 'ToDo' });
+            const title = this.getTaskById(id)?.title;
+            const task = this.executeCommand(`Reopen "${title}"`, () => {
+                return this.updateTask(id, { status: Workflow.getInstance().getInitialStatus() });
+            });
             console.log('✅ Task marked as not completed:', task.title);
             return task;
         } catch (error) {
@@ -197,21 +624,405 @@ class TaskManager {
         }
     }
     
+    /**
+     * Move a task to any workflow status (board drag-and-drop)
+     */
+    setTaskStatus(id, status) {
+        if (!Workflow.getInstance().hasStatus(status)) {
+            throw new Error(`Unknown status: ${status}`);
+        }
+        return this.updateTask(id, { status });
+    }
+    
+    /**
+     * Replace the workflow statuses
+     * Tasks in a removed status move to the new done status if they were done,
+     * otherwise to the new initial status
+     * Undoing it restores the old statuses together with the tasks
+     */
+    setWorkflow(statuses) {
+        const workflow = Workflow.getInstance();
+        const wasDone = new Set(this.tasks.filter(t => Workflow.isCompleted(t)).map(t => t.id));
+        const previous = workflow.getStatuses();
+        
+        this.applyWorkflowStatuses(statuses);
+        const change = { before: previous, after: workflow.getStatuses() };
+        
+        this.executeCommand('Change workflow', () => {
+            this.tasks.forEach(task => {
+                if (wasDone.has(task.id)) {
+                    task.status = workflow.getDoneStatus();
+                } else if (!workflow.hasStatus(task.status) || workflow.isDone(task.status)) {
+                    task.status = workflow.getInitialStatus();
+                }
+            });
+        }, change);
+    }
+    
+    // ============================================
+    // CHECKLIST OPERATIONS
+    // ============================================
+    
+    /**
+     * Find a task or throw
+     */
+    requireTask(id) {
+        const task = this.getTaskById(id);
+        if (!task) {
+            throw new Error('Task not found');
+        }
+        return task;
+    }
+    
+    /**
+     * Add a checklist item to a task
+     * @returns {Object} Created item
+     */
+    addChecklistItem(taskId, text) {
+        try {
+            const task = this.requireTask(taskId);
+            if (!text || !text.trim()) {
+                throw new Error('Checklist item text is required');
+            }
+            
+            const item = TaskFactory.createChecklistItem(text.trim());
+            this.executeCommand(`Add item to "${task.title}"`, () => {
+                task.checklist.push(item);
+            });
+            
+            console.log('✅ Checklist item added:', item.text);
+            return item;
+            
+        } catch (error) {
+            console.error('❌ Error adding checklist item:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Tick/untick a checklist item
+     * Auto-completes the task when enabled and every item is done
+     */
+    toggleChecklistItem(taskId, itemId) {
+        try {
+            const task = this.requireTask(taskId);
+            const item = task.checklist.find(i => i.id === itemId);
+            if (!item) {
+                throw new Error('Checklist item not found');
+            }
+            
+            this.executeCommand(`Tick "${item.text}"`, () => {
+                item.done = !item.done;
+                
+                const progress = task.getChecklistProgress();
+                if (task.autoComplete && !Workflow.isCompleted(task) && progress.done === progress.total) {
+                    this.markAsCompleted(task.id);
+                }
+            });
+            
+            return item;
+            
+        } catch (error) {
+            console.error('❌ Error toggling checklist item:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Move a checklist item up (-1) or down (+1)
+     */
+    moveChecklistItem(taskId, itemId, offset) {
+        try {
+            const task = this.requireTask(taskId);
+            const index = task.checklist.findIndex(i => i.id === itemId);
+            const target = index + offset;
+            
+            if (index === -1 || target < 0 || target >= task.checklist.length) {
+                return false;
+            }
+            
+            this.executeCommand(`Reorder items of "${task.title}"`, () => {
+                const [item] = task.checklist.splice(index, 1);
+                task.checklist.splice(target, 0, item);
+            });
+            return true;
+            
+        } catch (error) {
+            console.error('❌ Error moving checklist item:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Remove a checklist item
+     */
+    removeChecklistItem(taskId, itemId) {
+        try {
+            const task = this.requireTask(taskId);
+            const index = task.checklist.findIndex(i => i.id === itemId);
+            if (index === -1) {
+                throw new Error('Checklist item not found');
+            }
+            
+            this.executeCommand(`Remove item from "${task.title}"`, () => {
+                task.checklist.splice(index, 1);
+            });
+            return true;
+            
+        } catch (error) {
+            console.error('❌ Error removing checklist item:', error);
+            throw error;
+        }
+    }
+    
+    // ============================================
+    // BATCH OPERATIONS
+    // ============================================
+    
+    /**
+     * Apply a change to several tasks as a single command:
+     * one undo step, one save and one observer notification
+     * @param {string} label - Command label, e.g. "Complete 3 task(s)"
+     * @param {Array} ids - Task ids
+     * @param {Function} apply - Called with each task; may use other TaskManager methods
+     * @returns {number} Number of tasks changed
+     */
+    applyToTasks(label, ids, apply) {
+        try {
+            const tasks = ids.map(id => this.requireTask(id));
+            if (tasks.length === 0) {
+                return 0;
+            }
+            
+            this.executeCommand(label, () => {
+                tasks.forEach(task => apply(task));
+            });
+            
+            console.log(`✅ ${label}`);
+            return tasks.length;
+            
+        } catch (error) {
+            console.error('❌ Error applying batch change:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Complete the tasks that are not completed yet
+     */
+    completeTasks(ids) {
+        const open = ids.filter(id => !Workflow.isCompleted(this.requireTask(id)));
+        return this.applyToTasks(`Complete ${open.length} task(s)`, open, task => this.markAsCompleted(task.id));
+    }
+    
+    /**
+     * Reopen the completed tasks
+     */
+    reopenTasks(ids) {
+        const done = ids.filter(id => Workflow.isCompleted(this.requireTask(id)));
+        return this.applyToTasks(`Reopen ${done.length} task(s)`, done, task => this.markAsNotCompleted(task.id));
+    }
+    
+    deleteTasks(ids) {
+        return this.applyToTasks(`Delete ${ids.length} task(s)`, ids, task => this.deleteTask(task.id));
+    }
+    
+    setTasksPriority(ids, priority) {
+        if (!Task.PRIORITIES.includes(priority)) {
+            throw new Error(`Unknown priority: ${priority}`);
+        }
+        return this.applyToTasks(`Set ${ids.length} task(s) to ${priority} priority`, ids, task => {
+            task.priority = priority;
+        });
+    }
+    
+    /**
+     * Move deadlines by whole days, keeping the time of day
+     * @param {number} days - Negative moves them earlier
+     */
+    shiftDeadlines(ids, days) {
+        if (!Number.isInteger(days) || days === 0) {
+            throw new Error('Enter a whole number of days other than 0');
+        }
+        return this.applyToTasks(`Shift ${ids.length} deadline(s) by ${days} day(s)`, ids, task => {
+            const deadline = new Date(task.deadline);
+            deadline.setDate(deadline.getDate() + days);
+            task.deadline = RecurrenceRule.toInputValue(deadline);
+        });
+    }
+    
+    /**
+     * Change the tags of several tasks
+     * @param {Array} ids
+     * @param {Array|string} tags - Tags or comma-separated string
+     * @param {string} mode - 'add', 'remove' or 'replace'
+     */
+    retagTasks(ids, tags, mode = 'add') {
+        const list = TaskFactory.normalizeTags(tags);
+        if (list.length === 0 && mode !== 'replace') {
+            throw new Error('Enter at least one tag');
+        }
+        
+        const retag = {
+            add: current => TaskFactory.normalizeTags([...current, ...list]),
+            remove: current => current.filter(tag => !list.includes(tag)),
+            replace: () => list
+        }[mode];
+        if (!retag) {
+            throw new Error(`Unknown tag mode: ${mode}`);
+        }
+        
+        return this.applyToTasks(`Retag ${ids.length} task(s)`, ids, task => {
+            task.tags = retag(task.tags);
+        });
+    }
+    
+    // ============================================
+    // PROJECTS
+    // ============================================
+    
+    /**
+     * Move tasks to another project (one undoable change)
+     * @param {Array} ids - Task ids
+     * @param {string} projectId - Target project (not archived)
+     * @returns {number} Number of tasks moved
+     */
+    moveTasksToProject(ids, projectId) {
+        const project = this.projects.require(projectId);
+        if (project.archived) {
+            throw new Error(`Project "${project.name}" is archived`);
+        }
+        
+        const moving = ids.filter(id => this.projects.resolve(this.requireTask(id).projectId).id !== projectId);
+        return this.applyToTasks(`Move ${moving.length} task(s) to "${project.name}"`, moving, task => {
+            task.projectId = projectId;
+        });
+    }
+    
+    /**
+     * Statistics of one project, or of every active project for ProjectManager.ALL
+     */
+    getProjectStatistics(projectId, now = new Date()) {
+        return this.getStatistics(this.projects.filterTasks(this.tasks, projectId), now);
+    }
+    
+    // ============================================
+    // TIME TRACKING
+    // ============================================
+    
+    /**
+     * Start the timer of a task (one undoable change)
+     * Only one timer runs at a time: a timer running on another task is stopped first
+     * @returns {Task}
+     */
+    startTimer(id, now = new Date()) {
+        try {
+            const task = this.requireTask(id);
+            if (Workflow.isCompleted(task)) {
+                throw new Error('Reopen the task to track time on it');
+            }
+            if (TimeTracking.isRunning(task)) {
+                return task;
+            }
+            
+            this.executeCommand(`Start timer on "${task.title}"`, () => {
+                this.tasks.filter(t => TimeTracking.isRunning(t)).forEach(t => this.closeTimeLog(t, now));
+                task.timeLogs = [...task.timeLogs, { start: now.toISOString(), end: null }];
+            });
+            
+            console.log('⏱️ Timer started:', task.title);
+            return task;
+        
+        } catch (error) {
+            console.error('❌ Error starting timer:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Stop the timer of a task, logging the session (no-op when it is not running)
+     * @returns {Task}
+     */
+    stopTimer(id, now = new Date()) {
+        try {
+            const task = this.requireTask(id);
+            if (!TimeTracking.isRunning(task)) {
+                return task;
+            }
+            
+            this.executeCommand(`Stop timer on "${task.title}"`, () => {
+                this.closeTimeLog(task, now);
+            });
+            
+            console.log(`⏱️ Timer stopped: ${task.title} (${TimeTracking.describe(task, now)})`);
+            return task;
+        
+        } catch (error) {
+            console.error('❌ Error stopping timer:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * The task whose timer is running, if any
+     * @returns {Task|null}
+     */
+    getRunningTimerTask() {
+        return this.tasks.find(t => TimeTracking.isRunning(t)) || null;
+    }
+    
+    /**
+     * End the running session of a task (call inside a command)
+     */
+    closeTimeLog(task, now) {
+        const running = TimeTracking.getRunningLog(task);
+        if (!running) return;
+        
+        const end = new Date(Math.max(now, new Date(running.start)));
+        task.timeLogs = task.timeLogs.map(log => log === running ? { ...log, end: end.toISOString() } : log);
+    }
+    
     // ============================================
     // STORAGE OPERATIONS
     // ============================================
     
+    /**
+     * Use a specific storage backend (e.g. MemoryAdapter in tests)
+     * @param {StorageAdapter} adapter
+     */
+    setStorage(adapter) {
+        this.storage = adapter;
+    }
+    
     /**
      * FR9: Load tasks from storage on startup
+     * @returns {Promise<Array>} Loaded tasks
      */
-    loadTasks() {
+    async loadTasks() {
         try {
-            const savedTasks = StorageManager.loadTasks();
+            if (!this.storage) {
+                this.storage = await StorageManager.createTaskAdapter();
+            }
+            // Before the tasks: snapshots are the way back when they fail to load
+            if (this.snapshots.storage !== this.storage) {
+                await this.snapshots.load(this.storage);
+            }
+            const savedTasks = await StorageManager.loadTasks(this.storage);
             
             // Convert plain objects to Task instances
             this.tasks = savedTasks.map(taskData => 
                 TaskFactory.fromObject(taskData)
             );
+            this.loadError = null;
+            
+            // Rolling backups of the data this session starts from
+            if (this.tasks.length > 0) {
+                this.snapshots.take('session', this.tasks);
+                this.snapshots.takeDailyIfNeeded(this.tasks);
+            }
+            
+            // Restore undo/redo history from the previous session
+            await this.history.load(this.storage);
             
             // Notify observers
             this.notifyObservers();
@@ -222,29 +1033,113 @@ class TaskManager {
         } catch (error) {
             console.error('❌ Error loading tasks:', error);
             this.tasks = [];
-            return [];
+            // Guard: an empty list must never overwrite the data that failed to load
+            this.loadError = error;
+            throw error;
         }
     }
     
     /**
      * FR8: Save tasks to storage
+     * Writes run in the background; the adapter serializes the tasks immediately
+     * @returns {Promise<boolean>} Success status
      */
-    saveTasks() {
+    async saveTasks() {
         try {
-            StorageManager.saveTasks(this.tasks);
-            return true;
+            if (!this.storage) {
+                throw new Error('Storage is not open yet');
+            }
+            if (this.loadError) {
+                console.warn('⚠️ Not saving: stored tasks failed to load (restore a backup first)');
+                return false;
+            }
+            
+            const saved = await StorageManager.saveTasks(this.storage, this.tasks);
+            if (!saved) {
+                this.reportSaveError('Tasks could not be saved: storage may be full');
+            } else if (this.tasks.length > 0) {
+                this.snapshots.takeDailyIfNeeded(this.tasks);
+            }
+            return saved;
         } catch (error) {
             console.error('❌ Error saving tasks:', error);
+            this.reportSaveError(`Tasks could not be saved: ${error.message}`);
             return false;
         }
     }
     
+    /**
+     * Pass a save failure on to onSaveError (set by the app to show it)
+     * @param {string} message - What could not be saved
+     */
+    reportSaveError(message) {
+        if (typeof this.onSaveError === 'function') {
+            this.onSaveError(message);
+        }
+    }
+    
+    // ============================================
+    // BACKUPS
+    // ============================================
+    
+    /**
+     * Snapshots available for restore, newest first
+     */
+    getSnapshots() {
+        return this.snapshots.getAll();
+    }
+    
+    takeSnapshot() {
+        return this.snapshots.take('manual', this.tasks);
+    }
+    
+    /**
+     * Replace the tasks with a snapshot (undoable)
+     * Also the way out after a failed load: restoring clears the save guard
+     * @param {string} snapshotId
+     * @returns {Object} The restored snapshot
+     */
+    restoreSnapshot(snapshotId) {
+        try {
+            const snapshot = this.snapshots.getById(snapshotId);
+            if (!snapshot) {
+                throw new Error('Backup not found');
+            }
+            
+            const { tasks } = TaskSchema.migrate(snapshot);
+            if (!this.loadError && this.tasks.length > 0) {
+                this.snapshots.take('safety', this.tasks, 'Before restoring a backup');
+            }
+            
+            // Restoring is an explicit choice to replace the stored data
+            this.loadError = null;
+            const date = new Date(snapshot.createdAt).toLocaleString('en-US');
+            this.executeCommand(`Restore backup from ${date}`, () => {
+                this.tasks = tasks.map(taskData => TaskFactory.fromObject(taskData));
+            });
+            
+            console.log(`✅ Restored ${tasks.length} tasks from backup`);
+            return snapshot;
+            
+        } catch (error) {
+            console.error('❌ Error restoring backup:', error);
+            throw error;
+        }
+    }
+    
+    deleteSnapshot(snapshotId) {
+        this.snapshots.delete(snapshotId);
+    }
+    
     /**
      * FR10: Export tasks to file
+     * @param {string} [format] - 'txt', 'json', 'csv', 'ics', 'markdown' or 'html'
+     * @param {Array} [tasks] - Tasks to export (all tasks by default)
+     * @param {Object} [options] - Report options, e.g. { groupBy, description }
      */
-    exportTasks() {
+    exportTasks(format = 'txt', tasks = this.tasks, options = {}) {
         try {
-            StorageManager.exportToFile(this.tasks);
+            StorageManager.exportToFile(tasks, format, options);
             console.log('✅ Tasks exported successfully');
             return true;
         } catch (error) {
@@ -253,41 +1148,203 @@ class TaskManager {
         }
     }
     
+    /**
+     * Import validated task objects (see TaskFormats) as one undoable command
+     * @param {Array} taskObjects - Plain task objects
+     * @param {string} [mode] - 'merge': update tasks with the same id, add the others
+     *                          'replace': the imported tasks replace all current tasks
+     * @returns {Object} { added, updated }
+     */
+    importTasks(taskObjects, mode = 'merge') {
+        try {
+            const workflow = Workflow.getInstance();
+            const imported = taskObjects.map(taskData => {
+                // Fields missing from the file (e.g. checklist in .ics) keep their current value
+                const existing = mode === 'merge' && taskData.id ? this.getTaskById(taskData.id) : null;
+                const task = TaskFactory.fromObject(existing ? { ...existing, ...taskData } : taskData);
+                // Statuses from another workflow fall back to the initial one
+                if (!workflow.hasStatus(task.status)) {
+                    task.status = workflow.getInitialStatus();
+                }
+                return task;
+            });
+            
+            let added = 0;
+            let updated = 0;
+            
+            if (mode === 'replace' && this.tasks.length > 0) {
+                this.snapshots.take('safety', this.tasks, 'Before replacing tasks with an import');
+            }
+            
+            this.executeCommand(`Import ${imported.length} tasks`, () => {
+                if (mode === 'replace') {
+                    this.tasks = imported;
+                    added = imported.length;
+                    return;
+                }
+                
+                imported.forEach(task => {
+                    const index = this.tasks.findIndex(t => t.id === task.id);
+                    if (index !== -1) {
+                        this.tasks[index] = task;
+                        updated++;
+                    } else {
+                        this.tasks.push(task);
+                        added++;
+                    }
+                });
+            });
+            
+            console.log(`✅ Imported tasks (${mode}): ${added} added, ${updated} updated`);
+            return { added, updated };
+            
+        } catch (error) {
+            console.error('❌ Error importing tasks:', error);
+            throw error;
+        }
+    }
+    
     // ============================================
     // UTILITY METHODS
     // ============================================
     
     /**
      * Get task statistics
+     * @param {Array} [tasks] - Tasks to count (default: all, the dashboard passes the shown ones)
+     * @param {Date} [now]
      */
-    getStatistics() {
-        const total = this.tasks.length;
-        const completed = this.tasks.filter(t => t.status === 'Completed').length;
+    getStatistics(tasks = this.tasks, now = new Date()) {
+        const total = tasks.length;
+        const completed = tasks.filter(t => Workflow.isCompleted(t)).length;
         const pending = total - completed;
-        const highPriority = this.tasks.filter(t => t.priority === 'High').length;
+        const highPriority = tasks.filter(t => t.priority === 'High').length;
+        
+        const overdue = tasks.filter(t => FilterOverdue.isOverdue(t, now)).length;
         
-        const now = new Date();
-        const overdue = this.tasks.filter(t => 
-            t.status !== 'Completed' && new Date(t.deadline) < now
-        ).length;
+        // Count per workflow status and per priority
+        const byStatus = {};
+        Workflow.getInstance().getStatuses().forEach(status => {
+            byStatus[status] = tasks.filter(t => t.status === status).length;
+        });
+        const byPriority = {};
+        Task.PRIORITIES.forEach(priority => {
+            byPriority[priority] = tasks.filter(t => t.priority === priority).length;
+        });
+        
+        // Estimated vs. logged time (minutes); running timers count until now
+        const tracked = task => TimeTracking.getTrackedMinutes(task, now);
+        const estimated = tasks.filter(t => t.estimate);
+        const time = {
+            estimated: estimated.reduce((sum, t) => sum + t.estimate, 0),
+            tracked: tasks.reduce((sum, t) => sum + tracked(t), 0),
+            trackedOnEstimated: estimated.reduce((sum, t) => sum + tracked(t), 0),
+            estimatedTasks: estimated.length,
+            overEstimate: estimated.filter(t => tracked(t) > t.estimate).length,
+            running: tasks.some(t => TimeTracking.isRunning(t))
+        };
+        
+        // Per project with tasks among the counted ones
+        const byProject = {};
+        this.projects.getAll().forEach(project => {
+            const projectTasks = tasks.filter(t => this.projects.resolve(t.projectId).id === project.id);
+            if (projectTasks.length === 0) return;
+            
+            const projectCompleted = projectTasks.filter(t => Workflow.isCompleted(t)).length;
+            byProject[project.id] = {
+                name: project.name,
+                color: project.color,
+                total: projectTasks.length,
+                completed: projectCompleted,
+                overdue: projectTasks.filter(t => FilterOverdue.isOverdue(t, now)).length,
+                completionRate: Math.round((projectCompleted / projectTasks.length) * 100),
+                tracked: projectTasks.reduce((sum, t) => sum + tracked(t), 0)
+            };
+        });
+        
+        // Lead time: creation → completion, for tasks with a known completion time
+        const finished = tasks.filter(t => Workflow.isCompleted(t) && t.completedAt);
+        const leadTimes = finished.map(t => new Date(t.completedAt) - new Date(t.createdAt));
+        const averageLeadTime = leadTimes.length === 0
+            ? null
+            : leadTimes.reduce((sum, time) => sum + time, 0) / leadTimes.length;
+        
+        // Checklist roll-up across all tasks
+        const withChecklist = tasks.filter(t => t.checklist.length > 0);
+        const checklistTotal = withChecklist.reduce((sum, t) => sum + t.checklist.length, 0);
+        const checklistDone = withChecklist.reduce((sum, t) => sum + t.getChecklistProgress().done, 0);
         
         return {
             total,
             completed,
             pending,
             highPriority,
-            overdue
+            overdue,
+            byStatus,
+            byPriority,
+            byProject,
+            time,
+            completionRate: total === 0 ? 0 : Math.round((completed / total) * 100),
+            averageLeadTime,
+            tasksWithChecklist: withChecklist.length,
+            checklistTotal,
+            checklistDone,
+            checklistProgress: checklistTotal === 0 ? 0 : Math.round((checklistDone / checklistTotal) * 100),
+            ...this.getTrends(tasks, now)
         };
     }
     
+    /**
+     * Productivity over time, oldest period first
+     * completedPerDay:  last TREND_DAYS days   [{ start, count }]
+     * completedPerWeek: last TREND_WEEKS weeks [{ start, count }] (weeks start on Sunday)
+     * completionRateByWeek: % of the tasks created by the end of each week
+     *                       that were completed by then [{ start, rate }]
+     */
+    getTrends(tasks, now = new Date()) {
+        const startOfDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+        const completedIn = (start, end) => tasks.filter(t => {
+            const completedAt = t.completedAt && Workflow.isCompleted(t) ? new Date(t.completedAt) : null;
+            return completedAt && completedAt >= start && completedAt < end;
+        }).length;
+        
+        const today = startOfDay(now);
+        const completedPerDay = [];
+        for (let i = TaskManager.TREND_DAYS - 1; i >= 0; i--) {
+            const start = addDays(today, -i);
+            completedPerDay.push({ start: start.toISOString(), count: completedIn(start, addDays(start, 1)) });
+        }
+        
+        const thisWeek = addDays(today, -today.getDay());
+        const completedPerWeek = [];
+        const completionRateByWeek = [];
+        for (let i = TaskManager.TREND_WEEKS - 1; i >= 0; i--) {
+            const start = addDays(thisWeek, -7 * i);
+            const end = addDays(start, 7);
+            completedPerWeek.push({ start: start.toISOString(), count: completedIn(start, end) });
+            
+            const created = tasks.filter(t => new Date(t.createdAt) < end);
+            const done = created.filter(t => t.completedAt && Workflow.isCompleted(t) && new Date(t.completedAt) < end);
+            completionRateByWeek.push({
+                start: start.toISOString(),
+                rate: created.length === 0 ? 0 : Math.round((done.length / created.length) * 100)
+            });
+        }
+        
+        return { completedPerDay, completedPerWeek, completionRateByWeek };
+    }
+    
     /**
      * Clear all tasks
      */
     clearAllTasks() {
         try {
-            this.tasks = [];
-            this.saveTasks();
-            this.notifyObservers();
+            if (this.tasks.length > 0) {
+                this.snapshots.take('safety', this.tasks, 'Before clearing all tasks');
+            }
+            this.executeCommand('Clear all tasks', () => {
+                this.tasks = [];
+            });
             console.log('✅ All tasks cleared');
             return true;
         } catch (error) {
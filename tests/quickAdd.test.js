@@ -0,0 +1,175 @@
+/**
+ * QuickAddParser tests - run with: node --test tests/
+ * quickAdd.js is a plain browser script without dependencies, so it is
+ * evaluated on its own. Every test parses against the same fixed "now":
+ * Monday, October 19 2026, 10:30 (local time)
+ */
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const QuickAddParser = vm.runInThisContext(
+    `${fs.readFileSync(path.join(__dirname, '..', 'quickAdd.js'), 'utf8')}\nQuickAddParser;`
+);
+
+const NOW = new Date(2026, 9, 19, 10, 30);
+
+const parse = (text, now = NOW) => QuickAddParser.parse(text, now);
+
+// "2026-10-23 12:00" in local time, or null
+const format = date => {
+    if (!date) return null;
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const deadlineOf = (text, now = NOW) => format(parse(text, now).deadline);
+
+describe('QuickAddParser', () => {
+    test('parses the example from the header', () => {
+        const result = parse('Send invoice to ACME tomorrow 3pm !high #billing @work');
+        
+        assert.equal(result.title, 'Send invoice to ACME');
+        assert.equal(format(result.deadline), '2026-10-20 15:00');
+        assert.equal(result.priority, 'High');
+        assert.deepEqual(result.tags, ['billing']);
+        assert.equal(result.project, 'work');
+        assert.deepEqual(result.tokens.map(token => token.type), ['priority', 'tag', 'project', 'date', 'time']);
+    });
+    
+    test('plain text stays the title', () => {
+        const result = parse('Buy milk');
+        
+        assert.equal(result.title, 'Buy milk');
+        assert.equal(result.deadline, null);
+        assert.equal(result.priority, null);
+        assert.deepEqual(result.tokens, []);
+    });
+    
+    describe('tokens', () => {
+        test('priority words and shorthands', () => {
+            assert.equal(parse('a !HIGH').priority, 'High');
+            assert.equal(parse('a !med').priority, 'Medium');
+            assert.equal(parse('a !m').priority, 'Medium');
+            assert.equal(parse('a !l').priority, 'Low');
+            assert.equal(parse('a !urgent').priority, null);
+        });
+        
+        test('tags are lowercased and kept once', () => {
+            assert.deepEqual(parse('retro #Team #team #follow-up').tags, ['team', 'follow-up']);
+        });
+        
+        test('tokens may be followed by punctuation', () => {
+            const result = parse('Fix login !high, then deploy #release; notify @ops.');
+            
+            assert.equal(result.title, 'Fix login, then deploy; notify.');
+            assert.equal(result.priority, 'High');
+            assert.deepEqual(result.tags, ['release']);
+            assert.equal(result.project, 'ops');
+            assert.equal(parse('Check #tag-1?').title, 'Check?');
+            assert.equal(parse('Urgent !h! call').title, 'Urgent! call');
+        });
+        
+        test('markers inside a word are not tokens', () => {
+            const result = parse('Email a#b and x!high to me@example');
+            
+            assert.equal(result.title, 'Email a#b and x!high to me@example');
+            assert.deepEqual(result.tags, []);
+            assert.equal(result.priority, null);
+            assert.equal(result.project, null);
+        });
+    });
+    
+    describe('dates', () => {
+        test('today, tonight, tomorrow and the day after', () => {
+            assert.equal(deadlineOf('Meeting today'), '2026-10-19 12:00');
+            assert.equal(deadlineOf('Party tonight'), '2026-10-19 20:00');
+            assert.equal(deadlineOf('Call tmrw'), '2026-10-20 12:00');
+            assert.equal(deadlineOf('Call day after tomorrow'), '2026-10-21 12:00');
+        });
+        
+        test('weekdays are the coming one, 1 to 7 days ahead', () => {
+            assert.equal(deadlineOf('Plan tuesday'), '2026-10-20 12:00');
+            assert.equal(deadlineOf('Plan on friday'), '2026-10-23 12:00');
+            assert.equal(deadlineOf('Plan next friday'), '2026-10-23 12:00');
+            assert.equal(deadlineOf('Plan sunday'), '2026-10-25 12:00');
+            // Same weekday as today: a week ahead
+            assert.equal(deadlineOf('Plan monday'), '2026-10-26 12:00');
+        });
+        
+        test('end of week is Friday (today on a Friday)', () => {
+            assert.equal(deadlineOf('Ship eow'), '2026-10-23 12:00');
+            assert.equal(deadlineOf('Ship end of week', new Date(2026, 9, 23, 9, 0)), '2026-10-23 12:00');
+            assert.equal(deadlineOf('Ship end of week', new Date(2026, 9, 24, 9, 0)), '2026-10-30 12:00');
+            assert.equal(deadlineOf('Ship by the end of the week', new Date(2026, 9, 25, 9, 0)), '2026-10-30 12:00');
+        });
+        
+        test('end of month and year', () => {
+            assert.equal(deadlineOf('Pay rent end of month'), '2026-10-31 12:00');
+            assert.equal(deadlineOf('Taxes eoy'), '2026-12-31 12:00');
+        });
+        
+        test('next week, month and year', () => {
+            assert.equal(deadlineOf('Retro next week'), '2026-10-26 12:00');
+            assert.equal(deadlineOf('Retro next week', new Date(2026, 9, 25, 9, 0)), '2026-10-26 12:00');
+            assert.equal(deadlineOf('Report next month'), '2026-11-01 12:00');
+            assert.equal(deadlineOf('Plan next year'), '2027-01-01 12:00');
+        });
+        
+        test('relative amounts', () => {
+            assert.equal(deadlineOf('Review in 2 weeks'), '2026-11-02 12:00');
+            assert.equal(deadlineOf('Check in a month'), '2026-11-19 12:00');
+            assert.equal(deadlineOf('Check in a month', new Date(2027, 0, 31, 9, 0)), '2027-02-28 12:00');
+            // Minutes and hours are exact: no time rule applies afterwards
+            assert.equal(deadlineOf('Ping in 2 hours'), '2026-10-19 12:30');
+            assert.equal(deadlineOf('Ping in 45 minutes 9am'), '2026-10-19 11:15');
+        });
+        
+        test('calendar dates', () => {
+            assert.equal(deadlineOf('Report 2026-12-01'), '2026-12-01 12:00');
+            assert.equal(deadlineOf('Dinner Nov 5'), '2026-11-05 12:00');
+            assert.equal(deadlineOf('Dinner 5 Nov'), '2026-11-05 12:00');
+            assert.equal(deadlineOf('Dinner November 5th 2027'), '2027-11-05 12:00');
+            // A day already past this year is next year's
+            assert.equal(deadlineOf('Renew Jan 5'), '2027-01-05 12:00');
+        });
+        
+        test('impossible dates are left in the title', () => {
+            const result = parse('Feb 31 report');
+            
+            assert.equal(result.deadline, null);
+            assert.equal(result.title, 'Feb 31 report');
+        });
+    });
+    
+    describe('times', () => {
+        test('am/pm, 24-hour, "at" and noon', () => {
+            assert.equal(deadlineOf('Call tomorrow 3:30 pm'), '2026-10-20 15:30');
+            assert.equal(deadlineOf('Call tomorrow 15:45'), '2026-10-20 15:45');
+            assert.equal(deadlineOf('Call tomorrow at 9'), '2026-10-20 09:00');
+            assert.equal(deadlineOf('Lunch tomorrow noon'), '2026-10-20 12:00');
+        });
+        
+        test('12am is midnight and 12pm is noon', () => {
+            assert.equal(deadlineOf('Deploy tomorrow 12am'), '2026-10-20 00:00');
+            assert.equal(deadlineOf('Deploy tomorrow 12pm'), '2026-10-20 12:00');
+        });
+        
+        test('out-of-range hours and minutes are not times', () => {
+            assert.equal(deadlineOf('Fix 13pm bug'), null);
+            assert.equal(deadlineOf('Fix 0am bug'), null);
+            assert.equal(deadlineOf('Meet 25:00'), null);
+            assert.equal(deadlineOf('Meet 10:60'), null);
+            assert.equal(parse('v2: at 25 things').title, 'v2: at 25 things');
+        });
+        
+        test('a time without a date is today, or tomorrow once passed', () => {
+            assert.equal(deadlineOf('Standup 3pm'), '2026-10-19 15:00');
+            assert.equal(deadlineOf('Standup 9am'), '2026-10-20 09:00');
+            assert.equal(deadlineOf('Standup 10:30'), '2026-10-20 10:30');
+        });
+    });
+});
@@ -0,0 +1,150 @@
+/**
+ * TimeTracking - Estimates and logged work time of tasks
+ * task.estimate is the expected effort in whole minutes (null when unknown).
+ * task.timeLogs lists the work sessions, oldest first: [{ start, end }]
+ * (ISO timestamps). A session whose end is null is a running timer; it is
+ * saved with the task, so it keeps running across page reloads.
+ * TaskManager allows one running timer at a time.
+ */
+class TimeTracking {
+    /**
+     * Clean an estimate: whole minutes > 0, or null
+     * @param {number|string|null} minutes
+     */
+    static normalizeEstimate(minutes) {
+        const value = Math.round(Number(minutes));
+        return Number.isFinite(value) && value > 0 ? value : null;
+    }
+    
+    /**
+     * Clean a list of sessions: valid dates, end not before start,
+     * sorted by start, only the last one may still be running
+     * @param {Array} logs - [{ start, end }]
+     * @returns {Array} Normalized sessions
+     */
+    static normalizeLogs(logs) {
+        const isDate = value => typeof value === 'string' && !isNaN(new Date(value));
+        const sessions = (Array.isArray(logs) ? logs : [])
+            .filter(log => log && isDate(log.start))
+            .map(log => ({ start: log.start, end: isDate(log.end) ? log.end : null }))
+            .filter(log => !log.end || new Date(log.end) >= new Date(log.start))
+            .sort((a, b) => new Date(a.start) - new Date(b.start));
+        
+        // An older session left open (e.g. by hand-edited data) ends where the next one starts
+        sessions.forEach((log, index) => {
+            if (!log.end && index < sessions.length - 1) {
+                log.end = sessions[index + 1].start;
+            }
+        });
+        return sessions;
+    }
+    
+    /**
+     * Parse an estimate typed by the user: "90", "90m", "1.5h", "1h 30m", "2d" (8-hour days)
+     * @returns {number|null} Minutes, null for an empty text
+     * @throws {Error} When the text is not a duration
+     */
+    static parseEstimate(text) {
+        const value = String(text || '').trim().toLowerCase();
+        if (!value) {
+            return null;
+        }
+        if (/^\d+(\.\d+)?$/.test(value)) {
+            return this.normalizeEstimate(Number(value));
+        }
+        
+        const units = { d: 480, h: 60, m: 1 };
+        const pattern = /(\d+(?:\.\d+)?)\s*(d|h|m)[a-z]*\s*/g;
+        let minutes = 0;
+        let consumed = '';
+        let match;
+        while ((match = pattern.exec(value)) !== null) {
+            minutes += Number(match[1]) * units[match[2]];
+            consumed += match[0];
+        }
+        if (consumed.length !== value.length || minutes <= 0) {
+            throw new Error(`Invalid estimate "${text}" (e.g. 90m, 1.5h or 1h 30m)`);
+        }
+        return this.normalizeEstimate(minutes);
+    }
+    
+    /**
+     * The running session of a task, if any
+     * @returns {Object|null} { start, end: null }
+     */
+    static getRunningLog(task) {
+        const logs = task.timeLogs || [];
+        const last = logs[logs.length - 1];
+        return last && !last.end ? last : null;
+    }
+    
+    static isRunning(task) {
+        return !!this.getRunningLog(task);
+    }
+    
+    /**
+     * Logged time of a task, the running session counted until now
+     * @returns {number} Milliseconds
+     */
+    static getTrackedMs(task, now = new Date()) {
+        return (task.timeLogs || []).reduce((sum, log) => {
+            const end = log.end ? new Date(log.end) : now;
+            return sum + Math.max(0, end - new Date(log.start));
+        }, 0);
+    }
+    
+    /**
+     * Logged time in whole minutes (rounded)
+     */
+    static getTrackedMinutes(task, now = new Date()) {
+        return Math.round(this.getTrackedMs(task, now) / 60000);
+    }
+    
+    /**
+     * Human-readable duration of minutes, e.g. "1h 05m", "45m", "0m"
+     */
+    static formatMinutes(minutes) {
+        const total = Math.max(0, Math.round(minutes || 0));
+        const hours = Math.floor(total / 60);
+        const rest = total % 60;
+        return hours > 0 ? `${hours}h ${String(rest).padStart(2, '0')}m` : `${rest}m`;
+    }
+    
+    /**
+     * Running clock text, e.g. "1:05:09"
+     * @param {number} ms
+     */
+    static formatClock(ms) {
+        const seconds = Math.max(0, Math.floor(ms / 1000));
+        const pad = value => String(value).padStart(2, '0');
+        return `${Math.floor(seconds / 3600)}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+    }
+    
+    /**
+     * "Logged / estimate" summary of a task, e.g. "1h 05m / 2h 00m (54%)"
+     */
+    static describe(task, now = new Date()) {
+        const tracked = this.getTrackedMinutes(task, now);
+        if (!task.estimate) {
+            return this.formatMinutes(tracked);
+        }
+        const percent = Math.round((tracked / task.estimate) * 100);
+        return `${this.formatMinutes(tracked)} / ${this.formatMinutes(task.estimate)} (${percent}%)`;
+    }
+    
+    /**
+     * One session as text, e.g. "Oct 19, 2026, 09:00 AM → 10:30 AM (1h 30m)"
+     */
+    static describeLog(log, now = new Date()) {
+        const start = new Date(log.start);
+        const end = log.end ? new Date(log.end) : null;
+        const sameDay = end && end.toDateString() === start.toDateString();
+        const endText = !end
+            ? 'running'
+            : sameDay
+                ? end.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })
+                : TaskReport.formatDate(end);
+        const minutes = Math.round(((end || now) - start) / 60000);
+        return `${TaskReport.formatDate(start)} → ${endText} (${this.formatMinutes(minutes)})`;
+    }
+}
@@ -6,19 +6,69 @@
  * Implements NFR2: Simple and easy to use interface
  */
 class UIManager {
+    // Conditions offered by the filter builder
+    static CONDITION_TYPES = [
+        { type: 'completed', label: 'Completed' },
+        { type: 'notCompleted', label: 'Not completed' },
+        { type: 'highPriority', label: 'High priority' },
+        { type: 'overdue', label: 'Overdue' },
+        { type: 'ready', label: 'Ready to work on' },
+        { type: 'tags', label: 'Has tag(s)', placeholder: 'tag1, tag2' },
+        { type: 'search', label: 'Matches search', placeholder: 'priority:low "phrase"' }
+    ];
+    
     constructor() {
         this.taskListElement = document.getElementById('taskList');
         this.emptyStateElement = document.getElementById('emptyState');
         this.taskCountElement = document.getElementById('taskCount');
+        this.boardElement = document.getElementById('boardView');
+        this.calendarElement = document.getElementById('calendarView');
+        this.dashboardElement = document.getElementById('dashboardView');
         this.sortSelect = document.getElementById('sortBy');
+        this.sortDirectionSelect = document.getElementById('sortDirection');
+        this.sortThenBySelect = document.getElementById('sortThenBy');
+        this.sortThenDirectionSelect = document.getElementById('sortThenDirection');
         this.filterSelect = document.getElementById('filterBy');
+        this.tagFilterInput = document.getElementById('filterTags');
+        this.tagModeSelect = document.getElementById('filterTagsMode');
+        this.searchInput = document.getElementById('searchBox');
+        this.projectSwitcher = document.getElementById('projectSwitcher');
         
         // Initialize Strategy Pattern contexts
         this.taskSorter = new TaskSorter();
         this.taskFilter = new TaskFilter();
         
+        // Smart lists and the filter builder's current (unsaved) filter
+        this.smartLists = new SmartListManager();
+        this.customFilterSpec = { match: 'all', conditions: [] };
+        
+        // Search box filter, applied on top of the dropdown filter
+        this.searchFilter = new TaskFilter();
+        this.searchQuery = new SearchQuery('');
+        
+        // Views: 'list' (card grid), 'board' (Kanban columns), 'calendar' or 'stats' (dashboard)
+        this.viewMode = 'list';
+        this.boardView = new BoardView(this.boardElement, this);
+        this.calendarView = new CalendarView(this.calendarElement, this);
+        this.dashboardView = new DashboardView(this.dashboardElement, this);
+        
         // Current tasks cache
         this.currentTasks = [];
+        
+        // Cards whose history panel is expanded (kept across re-renders)
+        this.openActivity = new Set();
+        
+        // Bulk selection: selected card ids, the last one clicked (Shift-click ranges)
+        // and the ids shown, in display order
+        this.selectedIds = new Set();
+        this.lastSelectedId = null;
+        this.visibleIds = [];
+        
+        // Card focused with the j/k keys
+        this.focusedTaskId = null;
+        
+        // Interval ticking the running timer clock (only while one is shown)
+        this.timerTicker = null;
     }
     
     /**
@@ -27,7 +77,10 @@ class UIManager {
      */
     update(tasks) {
         this.currentTasks = tasks;
+        this.renderProjects();
+        this.updateBlockerOptions();
         this.renderTasks();
+        this.renderDeletedActivity();
     }
     
     /**
@@ -37,23 +90,32 @@ class UIManager {
      */
     renderTasks() {
         try {
-            // Get current filter and sort strategies
-            const filterType = this.filterSelect ? this.filterSelect.value : 'all';
-            const sortType = this.sortSelect ? this.sortSelect.value : 'deadline';
-            
-            // Apply Strategy Pattern for filtering
-            this.taskFilter.setStrategy(StrategyFactory.getFilterStrategy(filterType));
-            let processedTasks = this.taskFilter.filter(this.currentTasks);
-            
-            // Apply Strategy Pattern for sorting
-            this.taskSorter.setStrategy(StrategyFactory.getSortStrategy(sortType));
-            processedTasks = this.taskSorter.sort(processedTasks);
+            const processedTasks = this.getVisibleTasks();
             
             // Update task count
             if (this.taskCountElement) {
                 this.taskCountElement.textContent = processedTasks.length;
             }
             
+            // Only shown tasks stay selected, so batch actions never hit hidden ones
+            this.visibleIds = processedTasks.map(task => task.id);
+            this.selectedIds = new Set(this.visibleIds.filter(id => this.selectedIds.has(id)));
+            this.updateBatchBar();
+            
+            // Board, calendar and dashboard views render even when empty
+            if (this.viewMode === 'board') {
+                this.renderBoard(processedTasks);
+                return;
+            }
+            if (this.viewMode === 'calendar') {
+                this.renderCalendar(processedTasks);
+                return;
+            }
+            if (this.viewMode === 'stats') {
+                this.renderDashboard(processedTasks);
+                return;
+            }
+            
             // Show empty state if no tasks
             if (processedTasks.length === 0) {
                 this.showEmptyState();
@@ -69,6 +131,542 @@ class UIManager {
         }
     }
     
+    /**
+     * Tasks of the selected project after applying the current filter, search and sort settings
+     * @returns {Array} Tasks in display order
+     */
+    getVisibleTasks() {
+        // Get current filter strategy
+        const filterType = this.filterSelect ? this.filterSelect.value : 'all';
+        
+        // Apply Strategy Pattern for filtering
+        this.taskFilter.setStrategy(this.getFilterStrategy(filterType));
+        let processedTasks = this.taskFilter.filter(
+            TaskManager.getInstance().projects.filterTasks(this.currentTasks)
+        );
+        
+        // Compose with the search box query
+        this.searchQuery = new SearchQuery(this.searchInput ? this.searchInput.value : '');
+        this.searchFilter.setStrategy(new FilterBySearch(this.searchQuery));
+        processedTasks = this.searchFilter.filter(processedTasks);
+        
+        // Apply Strategy Pattern for sorting (multi-key)
+        this.taskSorter.setSortKeys(this.getSortKeys());
+        return this.taskSorter.sort(processedTasks);
+    }
+    
+    /**
+     * Switch between the list, board, calendar and dashboard views
+     * @param {string} mode - 'list' | 'board' | 'calendar' | 'stats'
+     */
+    setViewMode(mode) {
+        this.viewMode = mode;
+        
+        document.querySelectorAll('.view-btn[data-view]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.view === mode);
+        });
+        
+        if (this.boardElement) {
+            this.boardElement.style.display = mode === 'board' ? 'flex' : 'none';
+            this.boardElement.innerHTML = '';
+        }
+        if (this.calendarElement) {
+            this.calendarElement.style.display = mode === 'calendar' ? 'block' : 'none';
+            this.calendarElement.innerHTML = '';
+        }
+        if (this.dashboardElement) {
+            this.dashboardElement.style.display = mode === 'stats' ? 'block' : 'none';
+            this.dashboardElement.innerHTML = '';
+        }
+        if (this.taskListElement) {
+            this.taskListElement.innerHTML = '';
+        }
+        
+        this.renderTasks();
+    }
+    
+    /**
+     * Render the Kanban board view
+     */
+    renderBoard(tasks) {
+        if (this.taskListElement) {
+            this.taskListElement.style.display = 'none';
+        }
+        if (this.emptyStateElement) {
+            this.emptyStateElement.style.display = 'none';
+        }
+        
+        this.boardView.render(tasks);
+        this.attachCardEventListeners();
+    }
+    
+    /**
+     * Render the calendar view
+     */
+    renderCalendar(tasks) {
+        if (this.taskListElement) {
+            this.taskListElement.style.display = 'none';
+        }
+        if (this.emptyStateElement) {
+            this.emptyStateElement.style.display = 'none';
+        }
+        
+        this.calendarView.render(tasks);
+    }
+    
+    /**
+     * Render the statistics dashboard of the shown tasks
+     */
+    renderDashboard(tasks) {
+        if (this.taskListElement) {
+            this.taskListElement.style.display = 'none';
+        }
+        if (this.emptyStateElement) {
+            this.emptyStateElement.style.display = 'none';
+        }
+        
+        this.updateStatistics(TaskManager.getInstance().getStatistics(tasks));
+    }
+    
+    /**
+     * Show/hide the workflow editor
+     */
+    toggleWorkflowEditor() {
+        const editor = document.getElementById('workflowEditor');
+        const input = document.getElementById('workflowStatuses');
+        if (!editor || !input) return;
+        
+        editor.hidden = !editor.hidden;
+        input.value = Workflow.getInstance().getStatuses().join(', ');
+    }
+    
+    /**
+     * Show the import preview: valid tasks and rejected rows
+     * @param {string} fileName - Imported file name
+     * @param {Object} result - { tasks, errors: [{ row, message }] } from TaskFormats
+     */
+    showImportPreview(fileName, result) {
+        const panel = document.getElementById('importPanel');
+        if (!panel) return;
+        
+        document.getElementById('importFileName').textContent = fileName;
+        document.getElementById('importSummary').textContent =
+            `${result.tasks.length} valid task(s) found` +
+            (result.errors.length > 0 ? `, ${result.errors.length} row(s) skipped:` : '');
+        document.getElementById('importErrors').innerHTML = result.errors.map(error => `
+            <li>${error.row > 0 ? `Row ${error.row}: ` : ''}${this.escapeHtml(error.message)}</li>
+        `).join('');
+        document.getElementById('confirmImportBtn').disabled = result.tasks.length === 0;
+        panel.hidden = false;
+    }
+    
+    hideImportPreview() {
+        const panel = document.getElementById('importPanel');
+        if (panel) {
+            panel.hidden = true;
+        }
+    }
+    
+    /**
+     * Show/hide the backup list
+     */
+    toggleBackupPanel(snapshots) {
+        const panel = document.getElementById('backupPanel');
+        if (!panel) return;
+        
+        panel.hidden = !panel.hidden;
+        if (!panel.hidden) {
+            this.renderSnapshots(snapshots);
+        }
+    }
+    
+    /**
+     * List the snapshots with their date, kind and task count
+     * @param {Array} snapshots - From TaskManager.getSnapshots(), newest first
+     */
+    renderSnapshots(snapshots) {
+        const listElement = document.getElementById('snapshotList');
+        if (!listElement) return;
+        
+        if (snapshots.length === 0) {
+            listElement.innerHTML = '<li>No backups yet</li>';
+            return;
+        }
+        
+        listElement.innerHTML = snapshots.map(snapshot => `
+            <li>
+                <span class="snapshot-info">
+                    <strong>${new Date(snapshot.createdAt).toLocaleString('en-US')}</strong>
+                    · ${SnapshotManager.KIND_LABELS[snapshot.kind] || snapshot.kind}
+                    · ${snapshot.taskCount} task(s)
+                    ${snapshot.note ? `<span class="snapshot-note">${this.escapeHtml(snapshot.note)}</span>` : ''}
+                </span>
+                <button type="button" class="btn-small btn-restore-snapshot" data-id="${this.escapeAttribute(snapshot.id)}">↩️ Restore</button>
+                <button type="button" class="btn-small btn-delete-snapshot" data-id="${this.escapeAttribute(snapshot.id)}">🗑️</button>
+            </li>
+        `).join('');
+        
+        listElement.querySelectorAll('.btn-restore-snapshot').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                window.app.restoreSnapshot(e.target.dataset.id);
+            });
+        });
+        listElement.querySelectorAll('.btn-delete-snapshot').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                window.app.deleteSnapshot(e.target.dataset.id);
+            });
+        });
+    }
+    
+    /**
+     * Show/hide the "could not load your tasks" banner
+     * @param {string|null} message - Load error, or null to hide the banner
+     */
+    showLoadError(message) {
+        const banner = document.getElementById('loadErrorBanner');
+        if (!banner) return;
+        
+        banner.hidden = !message;
+        document.getElementById('loadErrorMessage').textContent = message || '';
+    }
+    
+    /**
+     * Short description of the applied filter, search and sort (used in reports)
+     * @example "Project: Work · Filter: Overdue · Search: "tag:work" · Sort: By Deadline ↑"
+     */
+    describeView() {
+        const selectedText = select => select && select.selectedIndex >= 0
+            ? select.options[select.selectedIndex].text.trim()
+            : '';
+        const parts = [];
+        
+        const projects = TaskManager.getInstance().projects;
+        if (projects.activeId !== ProjectManager.ALL) {
+            parts.push(`Project: ${projects.resolve(projects.activeId).name}`);
+        }
+        if (this.filterSelect && this.filterSelect.value !== 'all') {
+            parts.push(`Filter: ${selectedText(this.filterSelect)}`);
+        }
+        if (this.searchInput && this.searchInput.value.trim()) {
+            parts.push(`Search: "${this.searchInput.value.trim()}"`);
+        }
+        
+        const [primary] = this.getSortKeys();
+        parts.push(`Sort: ${selectedText(this.sortSelect) || primary.key} ${primary.direction === 'desc' ? '↓' : '↑'}`);
+        
+        return parts.join(' · ');
+    }
+    
+    /**
+     * Sort keys selected in the controls (primary + optional tie-breaker)
+     * @returns {Array} [{ key, direction }]
+     */
+    getSortKeys() {
+        const keys = [{
+            key: this.sortSelect ? this.sortSelect.value : 'deadline',
+            direction: this.sortDirectionSelect ? this.sortDirectionSelect.value : 'asc'
+        }];
+        
+        const thenBy = this.sortThenBySelect ? this.sortThenBySelect.value : 'none';
+        if (thenBy !== 'none' && thenBy !== keys[0].key) {
+            keys.push({
+                key: thenBy,
+                direction: this.sortThenDirectionSelect ? this.sortThenDirectionSelect.value : 'asc'
+            });
+        }
+        
+        return keys;
+    }
+    
+    /**
+     * Resolve the selected filter, including custom filters and smart lists
+     */
+    getFilterStrategy(filterType) {
+        if (filterType === 'custom') {
+            return StrategyFactory.fromSpec(this.customFilterSpec, this.getFilterOptions());
+        }
+        
+        if (filterType.startsWith('smart:')) {
+            const smartList = this.smartLists.getById(filterType.slice('smart:'.length));
+            return smartList ? StrategyFactory.fromSpec(smartList.filter, this.getFilterOptions()) : new FilterAll();
+        }
+        
+        return StrategyFactory.getFilterStrategy(filterType, this.getFilterOptions());
+    }
+    
+    /**
+     * Extra settings for filter strategies that need them
+     */
+    getFilterOptions() {
+        return {
+            tags: this.tagFilterInput ? TaskFactory.normalizeTags(this.tagFilterInput.value) : [],
+            tagMode: this.tagModeSelect ? this.tagModeSelect.value : 'any',
+            allTasks: this.currentTasks // blockers of the "ready" filter
+        };
+    }
+    
+    /**
+     * Show the tag filter inputs only when "By Tags" is selected
+     */
+    updateFilterControls() {
+        const tagControls = document.getElementById('tagFilterControls');
+        if (tagControls && this.filterSelect) {
+            tagControls.style.display = this.filterSelect.value === 'tags' ? 'flex' : 'none';
+        }
+    }
+    
+    /**
+     * Show/hide the filter builder panel
+     */
+    toggleFilterBuilder() {
+        const builder = document.getElementById('filterBuilder');
+        if (!builder) return;
+        
+        builder.hidden = !builder.hidden;
+        if (!builder.hidden) {
+            this.renderFilterBuilder(this.customFilterSpec);
+        }
+    }
+    
+    /**
+     * Render the filter builder rows for a spec
+     * @param {Object} spec - { match, conditions }
+     */
+    renderFilterBuilder(spec) {
+        const container = document.getElementById('filterConditions');
+        const matchSelect = document.getElementById('filterMatch');
+        if (!container) return;
+        
+        if (matchSelect) {
+            matchSelect.value = spec.match || 'all';
+        }
+        
+        container.innerHTML = spec.conditions.map((condition, index) => {
+            const typeInfo = UIManager.CONDITION_TYPES.find(t => t.type === condition.type);
+            const options = UIManager.CONDITION_TYPES.map(t => `
+                <option value="${t.type}" ${t.type === condition.type ? 'selected' : ''}>${t.label}</option>
+            `).join('');
+            
+            return `
+                <div class="filter-condition" data-index="${index}">
+                    <select class="condition-negate">
+                        <option value="">is</option>
+                        <option value="not" ${condition.negate ? 'selected' : ''}>is NOT</option>
+                    </select>
+                    <select class="condition-type">${options}</select>
+                    ${typeInfo && typeInfo.placeholder ? `
+                        <input type="text" class="condition-value" placeholder="${this.escapeAttribute(typeInfo.placeholder)}"
+                               value="${this.escapeAttribute(condition.value || '')}">
+                    ` : ''}
+                    <button type="button" class="btn-remove-condition" data-index="${index}" title="Remove condition">✕</button>
+                </div>
+            `;
+        }).join('') || '<p class="filter-empty">No conditions yet - add one below.</p>';
+        
+        // Re-render when a condition type changes (value input may appear/disappear)
+        container.querySelectorAll('.condition-type').forEach(select => {
+            select.addEventListener('change', () => {
+                this.renderFilterBuilder(this.readFilterSpec());
+            });
+        });
+        
+        container.querySelectorAll('.btn-remove-condition').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const spec = this.readFilterSpec();
+                spec.conditions.splice(Number(e.target.dataset.index), 1);
+                this.renderFilterBuilder(spec);
+            });
+        });
+    }
+    
+    /**
+     * Read the filter spec currently shown in the builder
+     * @returns {Object} { match, conditions: [{ type, negate, value }] }
+     */
+    readFilterSpec() {
+        const matchSelect = document.getElementById('filterMatch');
+        const conditions = Array.from(document.querySelectorAll('.filter-condition')).map(row => {
+            const valueInput = row.querySelector('.condition-value');
+            return {
+                type: row.querySelector('.condition-type').value,
+                negate: row.querySelector('.condition-negate').value === 'not',
+                value: valueInput ? valueInput.value.trim() : ''
+            };
+        });
+        
+        return {
+            match: matchSelect ? matchSelect.value : 'all',
+            conditions
+        };
+    }
+    
+    /**
+     * Rebuild the smart list entries of the filter dropdown and builder
+     */
+    renderSmartLists() {
+        const lists = this.smartLists.getAll();
+        
+        const optgroup = document.getElementById('smartListOptions');
+        if (optgroup) {
+            optgroup.innerHTML = lists.map(list => `
+                <option value="smart:${list.id}">⭐ ${this.escapeHtml(list.name)}</option>
+            `).join('');
+            optgroup.hidden = lists.length === 0;
+        }
+        
+        const listElement = document.getElementById('smartListList');
+        if (listElement) {
+            listElement.innerHTML = lists.map(list => `
+                <li>
+                    <span>⭐ ${this.escapeHtml(list.name)}</span>
+                    <button type="button" class="btn-edit-smart-list" data-id="${this.escapeAttribute(list.id)}">✏️</button>
+                    <button type="button" class="btn-delete-smart-list" data-id="${this.escapeAttribute(list.id)}">🗑️</button>
+                </li>
+            `).join('');
+            
+            listElement.querySelectorAll('.btn-edit-smart-list').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    window.app.editSmartList(e.target.dataset.id);
+                });
+            });
+            listElement.querySelectorAll('.btn-delete-smart-list').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    window.app.deleteSmartList(e.target.dataset.id);
+                });
+            });
+        }
+    }
+    
+    /**
+     * Fill the project switcher, the form's project list and the project panel
+     */
+    renderProjects() {
+        const projects = TaskManager.getInstance().projects;
+        const option = project => `<option value="${project.id}">${this.escapeHtml(project.name)}</option>`;
+        
+        if (this.projectSwitcher) {
+            const archived = projects.getAll().filter(project => project.archived);
+            this.projectSwitcher.innerHTML = `
+                <option value="${ProjectManager.ALL}">📚 All projects</option>
+                ${projects.getActive().map(option).join('')}
+                ${archived.length > 0 ? `<optgroup label="Archived">${archived.map(option).join('')}</optgroup>` : ''}
+            `;
+            this.projectSwitcher.value = projects.activeId;
+        }
+        
+        this.updateProjectOptions();
+        this.renderProjectList();
+    }
+    
+    /**
+     * Show/hide the project panel
+     */
+    toggleProjectPanel() {
+        const panel = document.getElementById('projectPanel');
+        if (!panel) return;
+        
+        panel.hidden = !panel.hidden;
+        if (!panel.hidden) {
+            document.getElementById('newProjectName').focus();
+        }
+    }
+    
+    /**
+     * Project rows: color, name, task count, archive/restore
+     */
+    renderProjectList() {
+        const listElement = document.getElementById('projectList');
+        if (!listElement) return;
+        
+        const projects = TaskManager.getInstance().projects;
+        listElement.innerHTML = projects.getAll().map(project => {
+            const count = projects.filterTasks(this.currentTasks, project.id).length;
+            return `
+                <li class="${project.archived ? 'archived' : ''}">
+                    <input type="color" class="project-color" data-id="${this.escapeAttribute(project.id)}" value="${project.color}" title="Project color">
+                    <input type="text" class="project-name" data-id="${this.escapeAttribute(project.id)}">
+                    <span class="project-count">${count} task(s)</span>
+                    ${project.id === ProjectManager.DEFAULT_ID ? '' : `
+                        <button type="button" class="btn-small btn-archive-project" data-id="${this.escapeAttribute(project.id)}">
+                            ${project.archived ? '♻️ Restore' : '📦 Archive'}
+                        </button>
+                    `}
+                </li>
+            `;
+        }).join('');
+        
+        listElement.querySelectorAll('.project-color').forEach(input => {
+            input.addEventListener('change', (e) => {
+                window.app.setProjectColor(e.target.dataset.id, e.target.value);
+            });
+        });
+        listElement.querySelectorAll('.project-name').forEach(input => {
+            input.value = projects.getById(input.dataset.id).name; // Set here: names may contain quotes
+            input.addEventListener('change', (e) => {
+                window.app.renameProject(e.target.dataset.id, e.target.value);
+            });
+        });
+        listElement.querySelectorAll('.btn-archive-project').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                window.app.toggleProjectArchived(e.target.dataset.id);
+            });
+        });
+    }
+    
+    /**
+     * Autocomplete for comma-separated tag inputs
+     * Suggests existing tags for the token being typed
+     * @param {HTMLInputElement} input - Tag input
+     * @param {HTMLDataListElement} datalist - Its suggestion list
+     * @param {Array} allTags - Existing tags
+     */
+    updateTagSuggestions(input, datalist, allTags) {
+        if (!input || !datalist) return;
+        
+        const parts = input.value.split(',');
+        const current = parts.pop().trim().replace(/^#+/, '').toLowerCase();
+        const chosen = TaskFactory.normalizeTags(parts);
+        const prefix = parts.length > 0 ? `${parts.join(',')}, ` : '';
+        
+        datalist.innerHTML = allTags
+            .filter(tag => !chosen.includes(tag) && tag.startsWith(current))
+            .map(tag => `<option value="${this.escapeAttribute(prefix + tag)}"></option>`)
+            .join('');
+    }
+    
+    /**
+     * Colour for a tag chip, stable for the same tag name
+     * @returns {Object} { background, color }
+     */
+    getTagColor(tag) {
+        let hash = 0;
+        for (const char of tag) {
+            hash = (hash * 31 + char.charCodeAt(0)) % 360;
+        }
+        return {
+            background: `hsl(${hash}, 70%, 90%)`,
+            color: `hsl(${hash}, 60%, 30%)`
+        };
+    }
+    
+    /**
+     * Create HTML for the tag chips of a task card
+     */
+    createTagChips(task) {
+        if (!task.tags || task.tags.length === 0) {
+            return '';
+        }
+        
+        const chips = task.tags.map(tag => {
+            const { background, color } = this.getTagColor(tag);
+            const attributeTag = this.escapeAttribute(tag);
+            return `<button class="tag-chip" data-tag="${attributeTag}" title="Show tasks tagged #${attributeTag}"
+                            style="background: ${background}; color: ${color}">#${this.escapeHtml(tag)}</button>`;
+        }).join('');
+        
+        return `<div class="task-tags">${chips}</div>`;
+    }
+    
     /**
      * Render individual task cards
      */
@@ -85,33 +683,41 @@ class UIManager {
     
     /**
      * Create HTML for a single task card
+     * @param {Task} task - Task to render
+     * @param {Object} [options] - { draggable } for the board view
      */
-    createTaskCard(task) {
+    createTaskCard(task, options = {}) {
         const priorityEmoji = {
             'High': '🔴',
             'Medium': '🟡',
             'Low': '🟢'
         };
         
-        const isCompleted = task.status === 'Completed';
+        const workflow = Workflow.getInstance();
+        const isCompleted = workflow.isDone(task.status);
+        const statusIcon = isCompleted ? '✅' : (task.status === workflow.getInitialStatus() ? '⏳' : '🔄');
         const deadlineDate = new Date(task.deadline);
-        const now = new Date();
-        const isOverdue = !isCompleted && deadlineDate < now;
+        const isOverdue = FilterOverdue.isOverdue(task);
+        const openBlockers = isCompleted ? [] : TaskDependencies.getOpenBlockers(task, this.currentTasks);
         
         return `
-            <div class="task-card ${isCompleted ? 'completed' : ''} ${isOverdue ? 'overdue' : ''}" 
-                 data-id="${task.id}">
+            <div class="task-card ${isCompleted ? 'completed' : ''} ${isOverdue ? 'overdue' : ''} ${openBlockers.length > 0 ? 'blocked' : ''} ${this.selectedIds.has(task.id) ? 'selected' : ''} ${this.focusedTaskId === task.id ? 'focused' : ''}" 
+                 data-id="${this.escapeAttribute(task.id)}" ${options.draggable ? 'draggable="true"' : ''}>
                 <div class="task-header">
-                    <h3 class="task-title">${this.escapeHtml(task.title)}</h3>
+                    <input type="checkbox" class="task-select" data-id="${this.escapeAttribute(task.id)}"
+                           title="Select (Shift-click to select a range)" ${this.selectedIds.has(task.id) ? 'checked' : ''}>
+                    <h3 class="task-title">${this.highlight(task.title)}</h3>
                     <span class="task-priority ${task.priority.toLowerCase()}">
                         ${priorityEmoji[task.priority]} ${task.priority}
                     </span>
                 </div>
                 
                 <p class="task-description">
-                    ${task.description ? this.escapeHtml(task.description) : 'no descriotion'}
+                    ${task.description ? this.highlight(task.description) : 'no descriotion'}
                 </p>
                 
+                ${this.createTagChips(task)}
+                
                 <div class="task-meta">
                     <span class="task-deadline ${isOverdue ? 'overdue-text' : ''}">
                         📅 ${deadlineDate.toLocaleString('en-US', {
@@ -122,27 +728,46 @@ class UIManager {
                             minute: '2-digit'
                         })}
                     </span>
-                    <span class="task-status ${task.status.toLowerCase()}">
-                        ${task.status === 'Completed' ? '✅' : '⏳'} ${task.status}
+                    <span class="task-status ${Workflow.toClassName(task.status)}">
+                        ${statusIcon} ${this.escapeHtml(task.status)}
                     </span>
+                    ${this.createProjectSelect(task)}
                 </div>
                 
+                ${task.recurrence ? `
+                    <div class="task-recurrence">🔁 ${this.escapeHtml(RecurrenceRule.describe(task.recurrence))}</div>
+                ` : ''}
+                
+                ${openBlockers.length > 0 ? `
+                    <div class="task-blocked">⛔ Blocked by ${openBlockers.map(blocker => `"${this.escapeHtml(blocker.title)}"`).join(', ')}</div>
+                ` : ''}
+                
+                ${task.reminders.length > 0 && !isCompleted ? `
+                    <div class="task-reminders">🔔 ${task.reminders.map(minutes => ReminderScheduler.describeOffset(minutes)).join(', ')} before</div>
+                ` : ''}
+                
+                ${this.createTimeTracking(task, isCompleted)}
+                
+                ${this.createChecklist(task)}
+                
                 ${isOverdue ? '<div class="overdue-badge">⚠️ Overdue</div>' : ''}
                 
+                ${this.createActivity(task)}
+                
                 <div class="task-actions">
                     ${!isCompleted ? `
-                        <button class="btn-complete" data-id="${task.id}" title="Complete task">
+                        <button class="btn-complete" data-id="${this.escapeAttribute(task.id)}" title="Complete task">
                             ✅ Complete
                         </button>
                     ` : `
-                        <button class="btn-uncomplete" data-id="${task.id}" title="Undo completion">
+                        <button class="btn-uncomplete" data-id="${this.escapeAttribute(task.id)}" title="Undo completion">
                             ↩️ Undo
                         </button>
                     `}
-                    <button class="btn-edit" data-id="${task.id}" title="Edit task">
+                    <button class="btn-edit" data-id="${this.escapeAttribute(task.id)}" title="Edit task">
                         ✏️ Edit
                     </button>
-                    <button class="btn-delete" data-id="${task.id}" title="Delete task">
+                    <button class="btn-delete" data-id="${this.escapeAttribute(task.id)}" title="Delete task">
                         🗑️ Delete
                     </button>
                 </div>
@@ -150,10 +775,184 @@ class UIManager {
         `;
     }
     
+    /**
+     * Logged time and estimate of a task card, with the timer button
+     * (completed tasks only show the time they had)
+     */
+    createTimeTracking(task, isCompleted) {
+        const running = TimeTracking.getRunningLog(task);
+        const hasTime = task.estimate || task.timeLogs.length > 0;
+        if (isCompleted && !hasTime) {
+            return '';
+        }
+        
+        const over = task.estimate && TimeTracking.getTrackedMinutes(task) > task.estimate;
+        return `
+            <div class="task-time ${running ? 'running' : ''}">
+                ${running ? `
+                    <span class="task-timer-clock" data-start="${running.start}" title="Current session">
+                        ${TimeTracking.formatClock(new Date() - new Date(running.start))}
+                    </span>
+                ` : ''}
+                ${hasTime ? `
+                    <span class="task-time-total ${over ? 'over' : ''}" title="Logged${task.estimate ? ' / estimated' : ''}">
+                        ⏱️ ${TimeTracking.describe(task)}
+                    </span>
+                ` : ''}
+                ${!isCompleted ? `
+                    <button class="btn-timer" data-id="${this.escapeAttribute(task.id)}" data-running="${!!running}"
+                            title="${running ? 'Stop the timer' : 'Start a timer (stops any other)'}">
+                        ${running ? '⏹️ Stop' : '▶️ Start timer'}
+                    </button>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    /**
+     * Tick the running timer clock every second while one is shown
+     */
+    updateTimerTicker() {
+        if (this.timerTicker || !document.querySelector('.task-timer-clock')) {
+            return;
+        }
+        this.timerTicker = setInterval(() => {
+            const clocks = document.querySelectorAll('.task-timer-clock[data-start]');
+            if (clocks.length === 0) {
+                clearInterval(this.timerTicker);
+                this.timerTicker = null;
+                return;
+            }
+            const now = new Date();
+            clocks.forEach(clock => {
+                clock.textContent = TimeTracking.formatClock(now - new Date(clock.dataset.start));
+            });
+        }, 1000);
+    }
+    
+    /**
+     * Project of a task card, as a list to move the task to another project
+     */
+    createProjectSelect(task) {
+        const projects = TaskManager.getInstance().projects;
+        const current = projects.resolve(task.projectId);
+        const options = projects.getAll().filter(project => !project.archived || project.id === current.id);
+        
+        return `
+            <select class="task-project" data-id="${this.escapeAttribute(task.id)}" title="Move to another project"
+                    style="border-color: ${current.color}">
+                ${options.map(project => `
+                    <option value="${project.id}" ${project.id === current.id ? 'selected' : ''}>
+                        📁 ${this.escapeHtml(project.name)}
+                    </option>
+                `).join('')}
+            </select>
+        `;
+    }
+    
+    /**
+     * Create HTML for the expandable history of a task card (newest first)
+     */
+    createActivity(task) {
+        if (task.activity.length === 0) {
+            return '';
+        }
+        
+        return `
+            <details class="task-activity" data-id="${this.escapeAttribute(task.id)}" ${this.openActivity.has(task.id) ? 'open' : ''}>
+                <summary>🕘 History (${task.activity.length})</summary>
+                ${this.createActivityList(task.activity)}
+            </details>
+        `;
+    }
+    
+    createActivityList(activity) {
+        return `
+            <ul class="activity-list">
+                ${[...activity].reverse().map(entry => `
+                    <li>${this.escapeHtml(ActivityLog.describe(entry))}</li>
+                `).join('')}
+            </ul>
+        `;
+    }
+    
+    /**
+     * List deleted tasks with their history under the task list
+     */
+    renderDeletedActivity() {
+        const details = document.getElementById('deletedActivity');
+        if (!details) return;
+        
+        const deleted = TaskManager.getInstance().getDeletedActivity();
+        details.hidden = deleted.length === 0;
+        document.getElementById('deletedCount').textContent = deleted.length;
+        document.getElementById('deletedActivityList').innerHTML = deleted.map(entry => `
+            <li>
+                <strong>${this.escapeHtml(entry.title)}</strong>
+                ${this.createActivityList(entry.activity)}
+            </li>
+        `).join('');
+    }
+    
+    /**
+     * Create HTML for the checklist of a task card (progress bar + items)
+     */
+    createChecklist(task) {
+        const progress = task.getChecklistProgress();
+        
+        const items = task.checklist.map((item, index) => `
+            <li class="checklist-item ${item.done ? 'done' : ''}">
+                <label>
+                    <input type="checkbox" class="checklist-toggle" 
+                           data-id="${this.escapeAttribute(task.id)}" data-item-id="${this.escapeAttribute(item.id)}" ${item.done ? 'checked' : ''}>
+                    <span>${this.escapeHtml(item.text)}</span>
+                </label>
+                <span class="checklist-item-actions">
+                    <button class="btn-checklist-move" data-id="${this.escapeAttribute(task.id)}" data-item-id="${this.escapeAttribute(item.id)}" 
+                            data-offset="-1" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button class="btn-checklist-move" data-id="${this.escapeAttribute(task.id)}" data-item-id="${this.escapeAttribute(item.id)}" 
+                            data-offset="1" title="Move down" ${index === task.checklist.length - 1 ? 'disabled' : ''}>↓</button>
+                    <button class="btn-checklist-remove" data-id="${this.escapeAttribute(task.id)}" data-item-id="${this.escapeAttribute(item.id)}" 
+                            title="Remove item">✕</button>
+                </span>
+            </li>
+        `).join('');
+        
+        return `
+            <div class="task-checklist">
+                ${progress.total > 0 ? `
+                    <div class="checklist-progress" title="${progress.done} of ${progress.total} done">
+                        <div class="checklist-progress-bar" style="width: ${progress.percent}%"></div>
+                    </div>
+                    <div class="checklist-progress-text">
+                        ☑️ ${progress.done}/${progress.total} (${progress.percent}%)
+                        ${task.autoComplete ? '· auto-completes' : ''}
+                    </div>
+                    <ul class="checklist-items">${items}</ul>
+                ` : ''}
+                <div class="checklist-add">
+                    <input type="text" class="checklist-input" data-id="${this.escapeAttribute(task.id)}" placeholder="Add checklist item">
+                    <button class="btn-checklist-add" data-id="${this.escapeAttribute(task.id)}" title="Add item">➕</button>
+                </div>
+            </div>
+        `;
+    }
+    
     /**
      * Attach event listeners to task card buttons
      */
     attachCardEventListeners() {
+        // History panels stay open when the cards are re-rendered
+        document.querySelectorAll('.task-activity[data-id]').forEach(details => {
+            details.addEventListener('toggle', () => {
+                if (details.open) {
+                    this.openActivity.add(details.dataset.id);
+                } else {
+                    this.openActivity.delete(details.dataset.id);
+                }
+            });
+        });
+        
         // Complete buttons
         document.querySelectorAll('.btn-complete').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -178,6 +977,79 @@ class UIManager {
             });
         });
         
+        // Timer buttons start or stop time tracking
+        document.querySelectorAll('.btn-timer').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const id = e.target.dataset.id;
+                if (e.target.dataset.running === 'true') {
+                    window.app.stopTimer(id);
+                } else {
+                    window.app.startTimer(id);
+                }
+            });
+        });
+        this.updateTimerTicker();
+        
+        // Selection checkboxes (Shift-click selects the range from the last one clicked)
+        document.querySelectorAll('.task-select').forEach(checkbox => {
+            checkbox.addEventListener('click', (e) => {
+                this.toggleSelection(e.target.dataset.id, e.target.checked, e.shiftKey);
+            });
+        });
+        
+        // Project lists move the task
+        document.querySelectorAll('.task-project').forEach(select => {
+            select.addEventListener('change', (e) => {
+                window.app.moveTasksToProject([e.target.dataset.id], e.target.value);
+            });
+        });
+        
+        // Tag chips filter the list by that tag
+        document.querySelectorAll('.tag-chip').forEach(chip => {
+            chip.addEventListener('click', (e) => {
+                window.app.filterByTag(e.target.dataset.tag);
+            });
+        });
+        
+        // Checklist: tick items
+        document.querySelectorAll('.checklist-toggle').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                window.app.toggleChecklistItem(e.target.dataset.id, e.target.dataset.itemId);
+            });
+        });
+        
+        // Checklist: reorder items
+        document.querySelectorAll('.btn-checklist-move').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const { id, itemId, offset } = e.target.dataset;
+                window.app.moveChecklistItem(id, itemId, Number(offset));
+            });
+        });
+        
+        // Checklist: remove items
+        document.querySelectorAll('.btn-checklist-remove').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                window.app.removeChecklistItem(e.target.dataset.id, e.target.dataset.itemId);
+            });
+        });
+        
+        // Checklist: add items (button or Enter)
+        document.querySelectorAll('.btn-checklist-add').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const id = e.target.dataset.id;
+                const input = document.querySelector(`.checklist-input[data-id="${CSS.escape(id)}"]`);
+                window.app.addChecklistItem(id, input ? input.value : '');
+            });
+        });
+        document.querySelectorAll('.checklist-input').forEach(input => {
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    window.app.addChecklistItem(e.target.dataset.id, e.target.value);
+                }
+            });
+        });
+        
         // Delete buttons
         document.querySelectorAll('.btn-delete').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -189,6 +1061,137 @@ class UIManager {
         });
     }
     
+    // ============================================
+    // BULK SELECTION
+    // ============================================
+    
+    /**
+     * Select or unselect a card
+     * @param {string} id - Task ID
+     * @param {boolean} selected
+     * @param {boolean} [range] - Apply to every shown card between the last one clicked and this one
+     */
+    toggleSelection(id, selected, range = false) {
+        let ids = [id];
+        const from = this.visibleIds.indexOf(this.lastSelectedId);
+        const to = this.visibleIds.indexOf(id);
+        if (range && from !== -1 && to !== -1) {
+            ids = this.visibleIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+        }
+        
+        ids.forEach(taskId => {
+            if (selected) {
+                this.selectedIds.add(taskId);
+            } else {
+                this.selectedIds.delete(taskId);
+            }
+        });
+        this.lastSelectedId = id;
+        this.refreshSelection();
+    }
+    
+    /**
+     * Select (or unselect) every shown task
+     */
+    selectAllVisible(selected = true) {
+        this.selectedIds = new Set(selected ? this.visibleIds : []);
+        this.lastSelectedId = null;
+        this.refreshSelection();
+    }
+    
+    clearSelection() {
+        this.selectAllVisible(false);
+    }
+    
+    /**
+     * Selected task ids, in display order
+     */
+    getSelectedIds() {
+        return this.visibleIds.filter(id => this.selectedIds.has(id));
+    }
+    
+    /**
+     * Update the checkboxes and card highlight without re-rendering
+     */
+    refreshSelection() {
+        document.querySelectorAll('.task-select').forEach(checkbox => {
+            const selected = this.selectedIds.has(checkbox.dataset.id);
+            checkbox.checked = selected;
+            checkbox.closest('.task-card').classList.toggle('selected', selected);
+        });
+        this.updateBatchBar();
+    }
+    
+    /**
+     * Show the batch action bar while tasks are selected (list and board views)
+     */
+    updateBatchBar() {
+        const count = this.selectedIds.size;
+        const selectAll = document.getElementById('selectAllVisible');
+        if (selectAll) {
+            selectAll.checked = count > 0 && count === this.visibleIds.length;
+            selectAll.indeterminate = count > 0 && count < this.visibleIds.length;
+        }
+        
+        const bar = document.getElementById('batchBar');
+        if (!bar) return;
+        
+        bar.hidden = count === 0 || !['list', 'board'].includes(this.viewMode);
+        document.getElementById('selectedCount').textContent = count;
+        
+        const projectSelect = document.getElementById('batchProject');
+        if (projectSelect) {
+            projectSelect.innerHTML = `
+                <option value="">📁 Move to project…</option>
+                ${TaskManager.getInstance().projects.getActive().map(project => `
+                    <option value="${project.id}">${this.escapeHtml(project.name)}</option>
+                `).join('')}
+            `;
+        }
+    }
+    
+    // ============================================
+    // KEYBOARD FOCUS
+    // ============================================
+    
+    /**
+     * Move the keyboard focus to the next or previous card shown
+     * @param {number} offset - 1 (next) or -1 (previous)
+     */
+    moveFocus(offset) {
+        const cards = Array.from(document.querySelectorAll('.task-card[data-id]'));
+        if (cards.length === 0) return;
+        
+        const index = cards.findIndex(card => card.dataset.id === this.focusedTaskId);
+        const next = index === -1
+            ? (offset > 0 ? 0 : cards.length - 1)
+            : Math.min(cards.length - 1, Math.max(0, index + offset));
+        
+        this.focusedTaskId = cards[next].dataset.id;
+        cards.forEach(card => card.classList.toggle('focused', card === cards[next]));
+        cards[next].scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+    
+    /**
+     * The focused task, if its card is shown
+     * @returns {string|null} Task ID
+     */
+    getFocusedTaskId() {
+        return this.visibleIds.includes(this.focusedTaskId) && document.querySelector('.task-card.focused')
+            ? this.focusedTaskId
+            : null;
+    }
+    
+    /**
+     * Focus the "add checklist item" input of a card (after re-render)
+     */
+    focusChecklistInput(taskId) {
+        const input = document.querySelector(`.checklist-input[data-id="${CSS.escape(taskId)}"]`);
+        if (input) {
+            input.focus();
+        }
+    }
+    
     /**
      * Show empty state message
      */
@@ -227,6 +1230,29 @@ class UIManager {
         const formattedDeadline = deadline.toISOString().slice(0, 16);
         document.getElementById('taskDeadline').value = formattedDeadline;
         
+        // Recurrence rule
+        this.setRecurrenceInForm(task.recurrence);
+        
+        // Checklist auto-completion
+        document.getElementById('taskAutoComplete').checked = !!task.autoComplete;
+        
+        // Tags
+        document.getElementById('taskTags').value = (task.tags || []).join(', ');
+        
+        // Estimate
+        document.getElementById('taskEstimate').value = task.estimate ? TimeTracking.formatMinutes(task.estimate) : '';
+        
+        // Reminders
+        document.querySelectorAll('.reminder-offset').forEach(checkbox => {
+            checkbox.checked = task.reminders.includes(Number(checkbox.value));
+        });
+        
+        // Dependencies (a task cannot block itself)
+        this.updateBlockerOptions(task.id, task.blockedBy);
+        
+        // Project
+        this.updateProjectOptions(task.projectId);
+        
         // Scroll to form
         document.querySelector('.add-task-section').scrollIntoView({ 
             behavior: 'smooth' 
@@ -245,13 +1271,200 @@ class UIManager {
         tomorrow.setHours(12, 0, 0, 0);
         const formattedDate = tomorrow.toISOString().slice(0, 16);
         document.getElementById('taskDeadline').value = formattedDate;
+        
+        // Hide recurrence options again
+        this.updateRecurrenceFields();
+        this.updateBlockerOptions(null, []);
+        this.updateProjectOptions(null);
+    }
+    
+    /**
+     * Fill the form's project list (active projects and the task's own)
+     * @param {string|null} [selectedId] - Project to select, null for the default of new
+     *                                     tasks; default: keep the current selection
+     */
+    updateProjectOptions(selectedId = undefined) {
+        const select = document.getElementById('taskProject');
+        if (!select) return;
+        
+        const projects = TaskManager.getInstance().projects;
+        const wanted = selectedId === undefined ? select.value : selectedId;
+        const selected = projects.getById(wanted) ? wanted : projects.getDefaultId();
+        
+        select.innerHTML = projects.getAll()
+            .filter(project => !project.archived || project.id === selected)
+            .map(project => `
+                <option value="${project.id}" ${project.id === selected ? 'selected' : ''}>
+                    ${this.escapeHtml(project.name)}${project.archived ? ' (archived)' : ''}
+                </option>
+            `).join('');
+    }
+    
+    getProjectFromForm() {
+        const select = document.getElementById('taskProject');
+        return select && select.value ? select.value : TaskManager.getInstance().projects.getDefaultId();
+    }
+    
+    /**
+     * Show what a quick-add line will create; values the text did not set are dimmed
+     * @param {Object|null} fields - From App.getQuickAddFields(), null to clear the preview
+     */
+    renderQuickAddPreview(fields) {
+        const preview = document.getElementById('quickAddPreview');
+        if (!preview) return;
+        
+        if (!fields) {
+            preview.innerHTML = '';
+            return;
+        }
+        
+        const chip = (text, given, extraClass = '') =>
+            `<span class="quick-add-chip ${given ? '' : 'default'} ${extraClass}">${text}</span>`;
+        const deadline = fields.deadline.toLocaleString('en-US', {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        
+        preview.innerHTML = [
+            fields.title
+                ? chip(`📌 ${this.escapeHtml(fields.title)}`, true)
+                : chip('⚠️ Title missing', true, 'invalid'),
+            chip(`📅 ${deadline}`, fields.given.deadline),
+            chip(`⚡ ${fields.priority}`, fields.given.priority),
+            ...fields.tags.map(tag => chip(`#${this.escapeHtml(tag)}`, true)),
+            fields.unknownProject
+                ? chip(`⚠️ No project "${this.escapeHtml(fields.unknownProject)}" — ${this.escapeHtml(fields.project.name)}`, true, 'invalid')
+                : chip(`📁 ${this.escapeHtml(fields.project.name)}`, fields.given.project)
+        ].join('');
+    }
+    
+    /**
+     * Fill the "Blocked by" list with the other tasks
+     * @param {string} [editingId] - Task being edited (left out); default: keep the current one
+     * @param {Array} [selectedIds] - Ids to select; default: keep the current selection
+     */
+    updateBlockerOptions(editingId = undefined, selectedIds = undefined) {
+        const select = document.getElementById('taskBlockedBy');
+        if (!select) return;
+        
+        if (editingId !== undefined) {
+            select.dataset.editingId = editingId || '';
+        }
+        const selected = selectedIds || this.getBlockedByFromForm();
+        const candidates = this.currentTasks.filter(task =>
+            task.id !== select.dataset.editingId &&
+            (!Workflow.isCompleted(task) || selected.includes(task.id))
+        );
+        
+        select.innerHTML = candidates.map(task => `
+            <option value="${this.escapeAttribute(task.id)}" ${selected.includes(task.id) ? 'selected' : ''}>
+                ${this.escapeHtml(task.title)}${Workflow.isCompleted(task) ? ' ✅' : ''}
+            </option>
+        `).join('');
+    }
+    
+    /**
+     * Ids picked in the "Blocked by" list
+     */
+    getBlockedByFromForm() {
+        const select = document.getElementById('taskBlockedBy');
+        return select ? Array.from(select.selectedOptions).map(option => option.value) : [];
+    }
+    
+    /**
+     * Read the recurrence rule from the form
+     * @returns {Object|null} Raw rule, or null when "Does not repeat"
+     */
+    getRecurrenceFromForm() {
+        const repeatSelect = document.getElementById('taskRepeat');
+        if (!repeatSelect || repeatSelect.value === 'none') {
+            return null;
+        }
+        
+        const weekdays = Array.from(document.querySelectorAll('.repeat-weekday:checked'))
+            .map(checkbox => Number(checkbox.value));
+        
+        return {
+            frequency: repeatSelect.value,
+            interval: document.getElementById('taskRepeatInterval').value,
+            weekdays,
+            dayOfMonth: document.getElementById('taskRepeatDay').value,
+            endDate: document.getElementById('taskRepeatEnd').value || null,
+            count: document.getElementById('taskRepeatCount').value || null
+        };
+    }
+    
+    /**
+     * Reminder offsets ticked in the form
+     * @returns {Array} Minutes before the deadline
+     */
+    getRemindersFromForm() {
+        return Array.from(document.querySelectorAll('.reminder-offset:checked'))
+            .map(checkbox => Number(checkbox.value));
+    }
+    
+    /**
+     * Estimate typed in the form ("90m", "1.5h", ...), see TimeTracking.parseEstimate
+     * @returns {number|null} Estimated minutes, null when left empty
+     * @throws {Error} When the estimate is not a duration
+     */
+    getEstimateFromForm() {
+        const input = document.getElementById('taskEstimate');
+        return input ? TimeTracking.parseEstimate(input.value) : null;
+    }
+    
+    /**
+     * Show the "Enable notifications" button while permission was not asked yet
+     */
+    updateNotificationButton() {
+        const button = document.getElementById('enableNotificationsBtn');
+        if (button) {
+            button.hidden = typeof Notification === 'undefined' || Notification.permission !== 'default';
+        }
+    }
+    
+    /**
+     * Fill the recurrence fields of the form
+     */
+    setRecurrenceInForm(rule) {
+        const repeatSelect = document.getElementById('taskRepeat');
+        if (!repeatSelect) return;
+        
+        repeatSelect.value = rule ? rule.frequency : 'none';
+        document.getElementById('taskRepeatInterval').value = rule ? rule.interval : 2;
+        document.getElementById('taskRepeatDay').value = rule ? rule.dayOfMonth : 1;
+        document.getElementById('taskRepeatEnd').value = rule && rule.endDate ? rule.endDate : '';
+        document.getElementById('taskRepeatCount').value = rule && rule.count ? rule.count : '';
+        document.querySelectorAll('.repeat-weekday').forEach(checkbox => {
+            checkbox.checked = !!rule && rule.weekdays.includes(Number(checkbox.value));
+        });
+        
+        this.updateRecurrenceFields();
+    }
+    
+    /**
+     * Show only the recurrence options relevant to the selected frequency
+     */
+    updateRecurrenceFields() {
+        const repeatSelect = document.getElementById('taskRepeat');
+        const frequency = repeatSelect ? repeatSelect.value : 'none';
+        
+        document.querySelectorAll('.repeat-option').forEach(element => {
+            const frequencies = element.dataset.repeat.split(' ');
+            element.style.display = frequencies.includes(frequency) ? '' : 'none';
+        });
     }
     
     /**
      * Show success message
+     * @param {string} message - Text to display
+     * @param {Object} [action] - Optional { label, onClick } toast button
      */
-    showSuccess(message) {
-        this.showNotification(message, 'success');
+    showSuccess(message, action = null) {
+        this.showNotification(message, 'success', action);
     }
     
     /**
@@ -262,22 +1475,42 @@ class UIManager {
     }
     
     /**
-     * Show notification (simple alert for now)
+     * Show notification toast
+     * @param {string} message - Text to display
+     * @param {string} type - success | error | info
+     * @param {Object} [action] - Optional { label, onClick } button (e.g. Undo)
      */
-    showNotification(message, type = 'info') {
+    showNotification(message, type = 'info', action = null) {
         // Create notification element
         const notification = document.createElement('div');
         notification.className = `notification notification-${type}`;
-        notification.textContent = message;
         
-        // Add to body
-        document.body.appendChild(notification);
+        const text = document.createElement('span');
+        text.textContent = message;
+        notification.appendChild(text);
         
-        // Auto remove after 3 seconds
-        setTimeout(() => {
+        const dismiss = () => {
             notification.classList.add('fade-out');
             setTimeout(() => notification.remove(), 300);
-        }, 3000);
+        };
+        
+        // Optional action button inside the toast
+        if (action) {
+            const button = document.createElement('button');
+            button.className = 'notification-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                action.onClick();
+                dismiss();
+            });
+            notification.appendChild(button);
+        }
+        
+        // Add to body
+        document.body.appendChild(notification);
+        
+        // Auto remove after 3 seconds (longer when there is an action)
+        setTimeout(dismiss, action ? 6000 : 3000);
     }
     
     /**
@@ -289,11 +1522,43 @@ class UIManager {
         return div.innerHTML;
     }
     
+    /**
+     * Escape text for a quoted HTML attribute (escapeHtml leaves quotes as they are)
+     */
+    escapeAttribute(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
+    /**
+     * Escape HTML and wrap search matches in <mark>
+     */
+    highlight(text) {
+        const terms = this.searchQuery.getHighlightTerms();
+        if (terms.length === 0) {
+            return this.escapeHtml(text);
+        }
+        
+        // Match the raw text, so terms never match inside entities such as &amp;
+        const pattern = terms
+            .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('|');
+        return String(text)
+            .split(new RegExp(`(${pattern})`, 'gi'))
+            .map((part, index) => index % 2 === 1
+                ? `<mark>${this.escapeHtml(part)}</mark>`
+                : this.escapeHtml(part))
+            .join('');
+    }
+    
     /**
      * Update statistics display
      */
     updateStatistics(stats) {
-        // Can be implemented to show stats dashboard
-        console.log('Statistics:', stats);
+        this.dashboardView.render(stats);
     }
 }
\ No newline at end of file
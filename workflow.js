@@ -0,0 +1,100 @@
+/**
+ * Workflow - Configurable list of task statuses (board columns)
+ * Design Pattern: Singleton Pattern
+ * Reason: Filters, sorting, statistics and storage must all agree on
+ * which status is the initial one and which one means "done"
+ *
+ * Statuses are ordered: the first one is the initial status of new tasks,
+ * the last one is the "done" status (e.g. ToDo → In Progress → Review → Completed)
+ */
+class Workflow {
+    static DEFAULT_STATUSES = ['ToDo', 'In Progress', 'Review', 'Completed'];
+    static instance = null;
+    
+    constructor(statuses = Workflow.DEFAULT_STATUSES) {
+        this.statuses = [...statuses];
+    }
+    
+    /**
+     * Singleton: Get the active workflow (loaded from storage once)
+     */
+    static getInstance() {
+        if (!Workflow.instance) {
+            const saved = StorageManager.loadWorkflow();
+            Workflow.instance = new Workflow(saved && Workflow.isValid(saved) ? saved : Workflow.DEFAULT_STATUSES);
+        }
+        return Workflow.instance;
+    }
+    
+    /**
+     * Shortcut: true when the task is in the "done" status
+     */
+    static isCompleted(task) {
+        return Workflow.getInstance().isDone(task.status);
+    }
+    
+    /**
+     * Validate a list of statuses (at least two, unique, non-empty)
+     */
+    static isValid(statuses) {
+        return Array.isArray(statuses) &&
+            statuses.length >= 2 &&
+            statuses.every(status => typeof status === 'string' && status.trim().length > 0) &&
+            new Set(statuses.map(status => status.trim().toLowerCase())).size === statuses.length;
+    }
+    
+    /**
+     * CSS-friendly name of a status ("In Progress" → "in-progress")
+     */
+    static toClassName(status) {
+        return String(status).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+    
+    getStatuses() {
+        return [...this.statuses];
+    }
+    
+    /**
+     * FR5: Status given to new tasks
+     */
+    getInitialStatus() {
+        return this.statuses[0];
+    }
+    
+    /**
+     * Status that marks a task as completed
+     */
+    getDoneStatus() {
+        return this.statuses[this.statuses.length - 1];
+    }
+    
+    isDone(status) {
+        return status === this.getDoneStatus();
+    }
+    
+    hasStatus(status) {
+        return this.statuses.includes(status);
+    }
+    
+    /**
+     * Position of a status in the workflow (unknown statuses go first)
+     */
+    indexOf(status) {
+        return this.statuses.indexOf(status);
+    }
+    
+    /**
+     * Replace the statuses and persist them
+     * @param {Array} statuses - Ordered status names
+     */
+    setStatuses(statuses) {
+        const cleaned = statuses.map(status => status.trim());
+        if (!Workflow.isValid(cleaned)) {
+            throw new Error('A workflow needs at least two unique status names');
+        }
+        
+        this.statuses = cleaned;
+        StorageManager.saveWorkflow(this.statuses);
+        console.log('✅ Workflow saved:', this.statuses.join(' → '));
+    }
+}